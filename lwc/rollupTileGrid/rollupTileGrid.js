@@ -1,11 +1,58 @@
-import { LightningElement, api } from 'lwc';
-import getRollup from '@salesforce/apex/RollupService.getRollup';
+import { LightningElement, api, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getCachedRollups from '@salesforce/apex/RollupService.getCachedRollups';
+import getRollups from '@salesforce/apex/RollupService.getRollups';
+import clearCachedRollups from '@salesforce/apex/RollupService.clearCachedRollups';
+import getRollupRecords from '@salesforce/apex/RollupService.getRollupRecords';
+import getRelatedRecordIds from '@salesforce/apex/RollupService.getRelatedRecordIds';
+import getGridDefinition from '@salesforce/apex/RollupService.getGridDefinition';
+import getFilterBarFields from '@salesforce/apex/RollupService.getFilterBarFields';
+import { subscribe, unsubscribe, onError, isEmpEnabled } from 'lightning/empApi';
 import LOCALE from '@salesforce/i18n/locale';
+import USER_CURRENCY from '@salesforce/i18n/currency';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import USER_ID from '@salesforce/user/Id';
+import HAS_ROLLUP_DIAGNOSTICS from '@salesforce/customPermission/Rollup_Diagnostics';
 
 const MAX_ROWS = 5;
 const MAX_COLUMNS = 5;
 const MAX_TILES = MAX_ROWS * MAX_COLUMNS;
 
+// Per-tile settings. Each one is either a key in a tilesConfig JSON tile or
+// the tile{N}<Key> App Builder property (e.g. tile3FilterCondition). The child
+// object, relationship field, grandchild pair, relationship path, key,
+// formula, filter criteria, percentile, weight field, trend and breakdown
+// settings have no App Builder property; they are set in JSON or on a tile
+// definition.
+const TILE_SETTING_KEYS = [
+    'key',
+    'label',
+    'childObjectApiName',
+    'relationshipFieldApiName',
+    'grandchildObjectApiName',
+    'grandchildRelationshipFieldApiName',
+    'relationshipPath',
+    'aggregateFieldApiName',
+    'initialAggregationType',
+    'orderByFieldApiName',
+    'percentile',
+    'weightFieldApiName',
+    'filterCondition',
+    'filterCriteria',
+    'dateFormat',
+    'comparisonPeriod',
+    'comparisonDateFieldApiName',
+    'trendDateFieldApiName',
+    'trendBucketSize',
+    'thresholdRules',
+    'groupByFieldApiName',
+    'breakdownLimit',
+    'breakdownStyle',
+    'formula',
+    'formulaFormat'
+];
+
 // Canonical aggregation types this component + RollupService understand.
 const VALID_AGGREGATION_TYPES = [
     'SUM',
@@ -17,14 +64,72 @@ const VALID_AGGREGATION_TYPES = [
     'CONCATENATE',
     'CONCATENATE_DISTINCT',
     'FIRST',
-    'LAST'
+    'LAST',
+    'MEDIAN',
+    'PERCENTILE',
+    'STDDEV',
+    'WEIGHTED_AVERAGE'
 ];
 
+// Aggregations RollupService computes from the records' values in Apex;
+// they need a numeric field.
+const STATISTIC_TYPES = ['MEDIAN', 'PERCENTILE', 'STDDEV', 'WEIGHTED_AVERAGE'];
+
 // Aggregations that produce numeric values (used for number formatting).
-const NUMERIC_TYPES = ['SUM', 'AVERAGE', 'MAX', 'MIN', 'COUNT', 'COUNT_DISTINCT'];
+const NUMERIC_TYPES = ['SUM', 'AVERAGE', 'MAX', 'MIN', 'COUNT', 'COUNT_DISTINCT', ...STATISTIC_TYPES];
+
+// Percentile shown when a PERCENTILE tile doesn't set one (as in Apex).
+const DEFAULT_PERCENTILE = 90;
+
+// Aggregations that return one of the field's own values (so a date field
+// yields a date).
+const DATE_VALUE_TYPES = ['MAX', 'MIN', 'FIRST', 'LAST'];
+
+// Per-tile date display styles.
+const DATE_FORMATS = ['short', 'medium', 'relative'];
+const DEFAULT_DATE_FORMAT = 'medium';
+
+// Aggregations whose value is a count, never an amount in the field's currency.
+const COUNT_TYPES = ['COUNT', 'COUNT_DISTINCT'];
+
+// Aggregations that can be compared against a prior period.
+const COMPARABLE_TYPES = ['SUM', 'AVERAGE', 'MAX', 'MIN', 'COUNT', 'COUNT_DISTINCT'];
+
+// Aggregations where "no records" means zero rather than "no value".
+const ZERO_WHEN_EMPTY_TYPES = ['SUM', 'COUNT', 'COUNT_DISTINCT'];
+
+// Tile settings a tilesConfig tile may give as JSON rather than text.
+const STRUCTURED_SETTING_KEYS = ['filterCriteria'];
+
+// How a formula tile's result is shown.
+const FORMULA_FORMATS = ['number', 'percent', 'currency'];
+
+// Breakdown tiles (groupByFieldApiName): aggregations that can be broken
+// down, and the colors of their bars / donut segments in order. "Other"
+// is always grey.
+const BREAKDOWN_TYPES = ['SUM', 'AVERAGE', 'MAX', 'MIN', 'COUNT'];
+const BREAKDOWN_COLORS = [
+    '#0176d3',
+    '#06a59a',
+    '#fe9339',
+    '#9050e9',
+    '#e3066a',
+    '#3ba755',
+    '#d8a600',
+    '#0b5cab',
+    '#8e030f',
+    '#5a1ba9'
+];
+const BREAKDOWN_OTHER_COLOR = '#aeaeae';
+
+// Aggregations that can draw a sparkline (trendDateFieldApiName).
+const SPARKLINE_TYPES = ['SUM', 'AVERAGE', 'MAX', 'MIN', 'COUNT'];
+
+// Threshold rule colors -> tile status class suffix.
+const THRESHOLD_COLORS = ['red', 'amber', 'green'];
 
 // Aggregations that imply a numeric field (for filtering by field type).
-const NUMERIC_FIELD_AGG_TYPES = ['SUM', 'AVERAGE', 'MAX', 'MIN'];
+const NUMERIC_FIELD_AGG_TYPES = ['SUM', 'AVERAGE', 'MAX', 'MIN', ...STATISTIC_TYPES];
 
 // Aggregations that imply a text-like field (for filtering by field type).
 const TEXT_FIELD_AGG_TYPES = ['CONCATENATE', 'CONCATENATE_DISTINCT'];
@@ -47,7 +152,8 @@ const NUMERIC_FIELD_ALLOWED_AGG_TYPES = new Set([
     'COUNT',
     'COUNT_DISTINCT',
     'FIRST',
-    'LAST'
+    'LAST',
+    ...STATISTIC_TYPES
 ]);
 
 const TEXT_FIELD_ALLOWED_AGG_TYPES = new Set([
@@ -63,12 +169,68 @@ const DATE_FIELD_ALLOWED_AGG_TYPES = new Set([
     'MAX',
     'MIN',
     'COUNT',
-    'COUNT_DISTINCT'
+    'COUNT_DISTINCT',
+    'FIRST',
+    'LAST'
 ]);
 
 // Soft timeout so we never spin forever on a bad call.
 const LOAD_TIMEOUT_MS = 15000;
 
+// Change events arriving within this window are merged into one reload.
+const AUTO_REFRESH_DEBOUNCE_MS = 2000;
+
+// Records per page in the drill-down modal.
+const DRILL_DOWN_PAGE_SIZE = 50;
+
+// Runtime result fields, reset whenever a tile starts loading or fails.
+const EMPTY_TILE_RESULT = {
+    isLoading: false,
+    error: null,
+    errorCode: null,
+    errorField: null,
+    errorSeverity: null,
+    errorUserMessage: null,
+    value: null,
+    recordCount: null,
+    isCurrency: false,
+    isPercent: false,
+    isDate: false,
+    dateType: null,
+    fieldLabel: null,
+    currencyIsoCode: null,
+    orderByFieldLabel: null,
+    weightFieldLabel: null,
+    priorValue: null,
+    priorRecordCount: null,
+    periodStart: null,
+    periodEnd: null,
+    priorPeriodStart: null,
+    priorPeriodEnd: null,
+    comparisonWarning: null,
+    skippedFilterFields: null,
+    groupByFieldLabel: null,
+    buckets: null,
+    seriesBucketSize: null,
+    series: null,
+    computedAt: null,
+    isCached: false
+};
+
+// Failed tiles: what end users read instead of the diagnostic for errors
+// raised in the component (RollupService sends its own), and how each
+// severity is shown. Errors without a code are configuration errors.
+const ERROR_USER_MESSAGES = {
+    CONFIGURATION_ERROR: "This rollup isn't set up correctly. Ask your Salesforce admin to check it.",
+    UNEXPECTED_ERROR: 'Something went wrong while calculating this rollup. Refresh to try again.',
+    TIMEOUT: 'This rollup took too long to load. Refresh to try again.'
+};
+const ERROR_SEVERITY_STYLES = {
+    ERROR: { iconName: 'utility:error', iconVariant: 'error', textClass: 'slds-text-color_error' },
+    WARNING: { iconName: 'utility:warning', iconVariant: 'warning', textClass: 'st-rollup-tile__error_warning' },
+    INFO: { iconName: 'utility:info', iconVariant: null, textClass: 'slds-text-color_weak' }
+};
+
 // Base aggregation options (shared by all tiles).
 const BASE_AGGREGATION_OPTIONS = [
     { label: 'Average', value: 'AVERAGE' },
@@ -76,9 +238,15 @@ const BASE_AGGREGATION_OPTIONS = [
     { label: 'Concatenate Distinct', value: 'CONCATENATE_DISTINCT' },
     { label: 'Count', value: 'COUNT' },
     { label: 'Count Distinct', value: 'COUNT_DISTINCT' },
+    { label: 'First', value: 'FIRST' },
+    { label: 'Last', value: 'LAST' },
     { label: 'Max', value: 'MAX' },
+    { label: 'Median', value: 'MEDIAN' },
     { label: 'Min', value: 'MIN' },
-    { label: 'Sum', value: 'SUM' }
+    { label: 'Percentile', value: 'PERCENTILE' },
+    { label: 'Standard Deviation', value: 'STDDEV' },
+    { label: 'Sum', value: 'SUM' },
+    { label: 'Weighted Average', value: 'WEIGHTED_AVERAGE' }
 ];
 
 /**
@@ -151,164 +319,1199 @@ function getAllowedAggregationsForCategory(category) {
     return null;
 }
 
-// Unique id generator for each grid instance (used for cross-instance coordination).
-let NEXT_INSTANCE_ID = 1;
+/**
+ * Normalize an admin-entered date format ("Short", "Medium", "Relative").
+ */
+function normalizeDateFormat(raw) {
+    const lower = raw ? raw.toString().trim().toLowerCase() : '';
+    return DATE_FORMATS.includes(lower) ? lower : DEFAULT_DATE_FORMAT;
+}
 
-export default class RollupTileGrid extends LightningElement {
-    @api recordId;
+/**
+ * The calendar day of `date` in the user's Salesforce time zone, as UTC
+ * midnight, so days can be compared without DST/offset drift.
+ */
+function calendarDayInUserTimeZone(date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: TIME_ZONE,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    })
+        .formatToParts(date)
+        .forEach((part) => {
+            parts[part.type] = part.value;
+        });
+    return Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day));
+}
 
-    // Layout
-    @api rows = 1;
-    @api columns = 1;
+/**
+ * "3 days ago", "in 2 months", "yesterday"... in the user's locale.
+ */
+function formatRelativeDate(date, isDateOnly) {
+    const rtf = new Intl.RelativeTimeFormat(LOCALE, { numeric: 'auto' });
+
+    if (isDateOnly) {
+        const today = calendarDayInUserTimeZone(new Date());
+        const days = Math.round((date.getTime() - today) / DAY_MS);
+        if (Math.abs(days) < 30) {
+            return rtf.format(days, 'day');
+        }
+        if (Math.abs(days) < 365) {
+            return rtf.format(Math.round(days / 30), 'month');
+        }
+        return rtf.format(Math.round(days / 365), 'year');
+    }
 
-    // Optional header shown above the grid
-    @api headerText;
-    @api headerHelpText;
+    const seconds = Math.round((date.getTime() - Date.now()) / 1000);
+    const abs = Math.abs(seconds);
+    if (abs < 60) {
+        return rtf.format(seconds, 'second');
+    }
+    if (abs < 60 * 60) {
+        return rtf.format(Math.round(seconds / 60), 'minute');
+    }
+    if (abs < DAY_MS / 1000) {
+        return rtf.format(Math.round(seconds / 3600), 'hour');
+    }
+    // Beyond a day, compare calendar days as the user sees them.
+    return formatRelativeDate(new Date(calendarDayInUserTimeZone(date)), true);
+}
 
-    // Shared rollup config for all tiles
-    @api childObjectApiName;
-    @api relationshipFieldApiName;
+/**
+ * Format an ISO-8601 value from RollupService for display.
+ *  - dateType "date": "YYYY-MM-DD" with no time zone – shown as-is (never
+ *    shifted by the viewer's offset).
+ *  - dateType "datetime": UTC timestamp – shown in the user's time zone.
+ */
+function formatDateValue(rawValue, dateType, dateFormat) {
+    const isDateOnly = dateType !== 'datetime';
+    const parsed = isDateOnly
+        ? new Date(`${rawValue}T00:00:00Z`)
+        : new Date(rawValue);
+    if (isNaN(parsed.getTime())) {
+        return rawValue;
+    }
 
-    // NEW: optional grandchild path (Parent -> Child -> Grandchild).
-    // If both are populated, the grid rolls up from the GRANDCHILD object.
-    @api grandchildObjectApiName;
-    @api grandchildRelationshipFieldApiName;
+    if (dateFormat === 'relative') {
+        return formatRelativeDate(parsed, isDateOnly);
+    }
 
-    @api styleVariant = 'Medium';
-    @api allowUserToChangeAggregation = false; // kept for compatibility
-    @api decimalPlaces = 2;
+    const options = {
+        dateStyle: dateFormat === 'short' ? 'short' : 'medium',
+        timeZone: isDateOnly ? 'UTC' : TIME_ZONE
+    };
+    if (!isDateOnly) {
+        options.timeStyle = 'short';
+    }
+    return new Intl.DateTimeFormat(LOCALE, options).format(parsed);
+}
 
-    // Refresh behavior – single Refresh button in header
-    @api showRefreshButton; // default from meta.xml; treated as true if undefined
+/**
+ * "As of 3:42 PM" (or "As of Oct 18, 2026, 3:42 PM" before today) for a
+ * tile's computedAt timestamp, plus a tooltip saying whether the value
+ * came from the result cache.
+ */
+function describeComputedAt(computedAt, isCached) {
+    const parsed = new Date(computedAt);
+    if (isNaN(parsed.getTime())) {
+        return null;
+    }
+    const isToday = calendarDayInUserTimeZone(parsed) === calendarDayInUserTimeZone(new Date());
+    const formatOptions = { timeStyle: 'short', timeZone: TIME_ZONE };
+    if (!isToday) {
+        formatOptions.dateStyle = 'medium';
+    }
+    const full = new Intl.DateTimeFormat(LOCALE, {
+        dateStyle: 'medium',
+        timeStyle: 'medium',
+        timeZone: TIME_ZONE
+    }).format(parsed);
+    return {
+        label: `As of ${new Intl.DateTimeFormat(LOCALE, formatOptions).format(parsed)}`,
+        title: isCached
+            ? `Computed ${full} and read from the result cache. Refresh to recompute.`
+            : `Computed ${full}`
+    };
+}
 
-    // Control whether to show summary text under the rollup value
-    @api showSummaryBelowValue; // default true if undefined
+/**
+ * What a failed tile shows. End users get a short message; users with the
+ * Rollup_Diagnostics custom permission (the only ones RollupService sends
+ * it to) get the full diagnostic, plus the field it concerns and the whole
+ * text in the expandable details.
+ */
+function buildErrorView(tile, canSeeDiagnostics) {
+    const code = tile.errorCode || 'CONFIGURATION_ERROR';
+    const severity = tile.errorSeverity || 'ERROR';
+    const style = ERROR_SEVERITY_STYLES[severity] || ERROR_SEVERITY_STYLES.ERROR;
+    const message = canSeeDiagnostics
+        ? tile.error
+        : tile.errorUserMessage || ERROR_USER_MESSAGES[code] || tile.error;
+
+    const details = [
+        { key: 'code', label: 'Error code', value: code },
+        { key: 'severity', label: 'Severity', value: capitalize(severity.toLowerCase()) }
+    ];
+    if (canSeeDiagnostics) {
+        if (tile.errorField) {
+            details.push({ key: 'field', label: 'Field', value: tile.errorField });
+        }
+        details.push({ key: 'diagnostic', label: 'Diagnostic', value: tile.error });
+    }
 
-    // ---- Tile-specific @api properties (1–25) ----
-    @api tile1Label;
-    @api tile1AggregateFieldApiName;
-    @api tile1InitialAggregationType;
-    @api tile1FilterCondition;
+    return {
+        message,
+        severityLabel: capitalize(severity.toLowerCase()),
+        iconName: style.iconName,
+        iconVariant: style.iconVariant,
+        className: `st-rollup-tile__error ${style.textClass}`,
+        details
+    };
+}
 
-    @api tile2Label;
-    @api tile2AggregateFieldApiName;
-    @api tile2InitialAggregationType;
-    @api tile2FilterCondition;
+/**
+ * Why a filter bar field can't be offered, or null: the diagnostic for
+ * users with Rollup_Diagnostics (the only ones RollupService sends it to),
+ * otherwise the short user message.
+ */
+function filterBarFieldError(field) {
+    return field.errorMessage || field.userMessage || null;
+}
 
-    @api tile3Label;
-    @api tile3AggregateFieldApiName;
-    @api tile3InitialAggregationType;
-    @api tile3FilterCondition;
+// Export (Download CSV / Copy to clipboard): one row per tile.
+const EXPORT_COLUMNS = [
+    { label: 'Label', value: (tile) => tile.label },
+    { label: 'Aggregation', value: (tile) => tile.aggregationLabel },
+    { label: 'Raw Value', value: (tile) => exportRawValue(tile) },
+    {
+        label: 'Formatted Value',
+        value: (tile) => (exportRawValue(tile) === null ? null : tile.displayValue)
+    },
+    {
+        label: 'Record Count',
+        value: (tile) => {
+            const hasCount = tile.recordCount !== null && tile.recordCount !== undefined;
+            return tile.isLoading || tile.error || !hasCount ? null : Number(tile.recordCount);
+        }
+    },
+    { label: 'Summary', value: (tile) => (tile.error ? tile.errorText : tile.summaryLabel) }
+];
 
-    @api tile4Label;
-    @api tile4AggregateFieldApiName;
-    @api tile4InitialAggregationType;
-    @api tile4FilterCondition;
+/**
+ * A tile's value as RollupService returned it (or the formula computed
+ * it): numbers stay numbers, dates stay ISO strings. Null while loading,
+ * failed or empty.
+ */
+function exportRawValue(tile) {
+    const isEmpty = tile.value === null || tile.value === undefined || tile.value === '';
+    if (tile.isLoading || tile.error || isEmpty) {
+        return null;
+    }
+    if (tile.isNumericValue) {
+        const num = Number(tile.value);
+        return Number.isFinite(num) ? num : tile.value;
+    }
+    return tile.value;
+}
 
-    @api tile5Label;
-    @api tile5AggregateFieldApiName;
-    @api tile5InitialAggregationType;
-    @api tile5FilterCondition;
+/**
+ * Header row plus one row per tile, as plain values.
+ */
+function buildExportRows(tiles) {
+    return [
+        EXPORT_COLUMNS.map((column) => column.label),
+        ...tiles.map((tile) => EXPORT_COLUMNS.map((column) => column.value(tile)))
+    ];
+}
 
-    @api tile6Label;
-    @api tile6AggregateFieldApiName;
-    @api tile6InitialAggregationType;
-    @api tile6FilterCondition;
+/**
+ * Text for an export cell. Spreadsheets evaluate text starting with
+ * =, +, -, @ or a control character, so such text (not numbers) is
+ * prefixed with an apostrophe.
+ */
+function exportCellText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number') {
+        return String(value);
+    }
+    const text = String(value);
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
 
-    @api tile7Label;
-    @api tile7AggregateFieldApiName;
-    @api tile7InitialAggregationType;
-    @api tile7FilterCondition;
+function toCsv(rows) {
+    return rows
+        .map((row) =>
+            row
+                .map((value) => {
+                    const text = exportCellText(value);
+                    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+                })
+                .join(',')
+        )
+        .join('\r\n');
+}
 
-    @api tile8Label;
-    @api tile8AggregateFieldApiName;
-    @api tile8InitialAggregationType;
-    @api tile8FilterCondition;
+// Tab-separated, for pasting into a spreadsheet: tabs and line breaks
+// inside a value become spaces.
+function toTsv(rows) {
+    return rows
+        .map((row) =>
+            row.map((value) => exportCellText(value).replace(/[\t\r\n]+/g, ' ')).join('\t')
+        )
+        .join('\n');
+}
 
-    @api tile9Label;
-    @api tile9AggregateFieldApiName;
-    @api tile9InitialAggregationType;
-    @api tile9FilterCondition;
+/**
+ * Normalize an admin-entered comparison period ("This Quarter",
+ * "Last 30 Days") into the RollupService code ("THIS_QUARTER",
+ * "LAST_30_DAYS"). "None" / blank -> null.
+ */
+function normalizeComparisonPeriod(raw) {
+    const code = raw
+        ? raw.toString().trim().toUpperCase().replace(/[\s-]+/g, '_')
+        : '';
+    return code && code !== 'NONE' ? code : null;
+}
 
-    @api tile10Label;
-    @api tile10AggregateFieldApiName;
-    @api tile10InitialAggregationType;
-    @api tile10FilterCondition;
+/**
+ * "vs last quarter", "vs previous 30 days"...
+ */
+function describePriorPeriod(period) {
+    switch (period) {
+        case 'THIS_WEEK':
+            return 'vs last week';
+        case 'THIS_MONTH':
+            return 'vs last month';
+        case 'THIS_QUARTER':
+            return 'vs last quarter';
+        case 'THIS_YEAR':
+            return 'vs last year';
+        default: {
+            const match = /^LAST_(\d+)_DAYS$/.exec(period || '');
+            return match ? `vs previous ${match[1]} days` : 'vs prior period';
+        }
+    }
+}
 
-    @api tile11Label;
-    @api tile11AggregateFieldApiName;
-    @api tile11InitialAggregationType;
-    @api tile11FilterCondition;
+/**
+ * Format a number for a tile: currency (in `currencyIsoCode`), percent or
+ * plain, with at most `fractionDigits` decimals. `signed` forces a leading
+ * +/- (used for trend deltas).
+ */
+function formatTileNumber(num, { currencyIsoCode, isPercent, fractionDigits, signed }) {
+    const options = {
+        minimumFractionDigits: 0,
+        maximumFractionDigits: fractionDigits
+    };
+    if (signed) {
+        options.signDisplay = 'exceptZero';
+    }
+    if (currencyIsoCode) {
+        return new Intl.NumberFormat(LOCALE, {
+            ...options,
+            style: 'currency',
+            currency: currencyIsoCode
+        }).format(num);
+    }
+    const formatted = new Intl.NumberFormat(LOCALE, options).format(num);
+    return isPercent ? formatted + '%' : formatted;
+}
 
-    @api tile12Label;
-    @api tile12AggregateFieldApiName;
-    @api tile12InitialAggregationType;
-    @api tile12FilterCondition;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    @api tile13Label;
-    @api tile13AggregateFieldApiName;
-    @api tile13InitialAggregationType;
-    @api tile13FilterCondition;
+/**
+ * Parse a threshold rule operand: a number ("10000", "12.5%"), "TODAY",
+ * "TODAY-90" / "TODAY+7" (days) or a YYYY-MM-DD date. Dates resolve to a
+ * calendar day (UTC midnight ms) so they compare with calendarDayInUserTimeZone.
+ */
+function parseThresholdOperand(raw) {
+    const text = raw.trim();
+    const numberMatch = /^-?\d+(\.\d+)?%?$/.exec(text.replace(/,/g, ''));
+    if (numberMatch) {
+        return { kind: 'number', value: parseFloat(text.replace(/[,%]/g, '')) };
+    }
+    const todayMatch = /^TODAY\s*(?:([+-])\s*(\d+))?$/i.exec(text);
+    if (todayMatch) {
+        const offset = todayMatch[2] ? Number(todayMatch[2]) : 0;
+        return {
+            kind: 'date',
+            relativeDays: todayMatch[1] === '-' ? -offset : offset
+        };
+    }
+    const isoMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (isoMatch) {
+        return {
+            kind: 'date',
+            day: Date.UTC(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]))
+        };
+    }
+    return null;
+}
 
-    @api tile14Label;
-    @api tile14AggregateFieldApiName;
-    @api tile14InitialAggregationType;
-    @api tile14FilterCondition;
+/**
+ * Parse an admin-entered rule list, e.g. "red > 10000; amber > 5000; green".
+ * Rules are separated by semicolons or new lines and evaluated in order;
+ * a color without a condition always matches.
+ * Returns { rules, error } – error is a message naming the first bad rule.
+ */
+function parseThresholdRules(raw) {
+    const rules = [];
+    if (!raw || !raw.toString().trim()) {
+        return { rules, error: null };
+    }
 
-    @api tile15Label;
-    @api tile15AggregateFieldApiName;
-    @api tile15InitialAggregationType;
-    @api tile15FilterCondition;
+    const parts = raw
+        .toString()
+        .split(/[;\n]/)
+        .map((part) => part.trim())
+        .filter((part) => part);
+
+    for (const part of parts) {
+        const match = /^([a-z]+)\s*(?:(>=|<=|!=|<>|>|<|=)\s*(.+))?$/i.exec(part);
+        const color = match ? match[1].toLowerCase() : null;
+        const operand = match && match[3] ? parseThresholdOperand(match[3]) : null;
+        if (!match || !THRESHOLD_COLORS.includes(color) || (match[2] && !operand)) {
+            return { rules: [], error: `Invalid color rule "${part}".` };
+        }
+        rules.push({
+            color,
+            operator: match[2] || null,
+            operandText: match[3] ? match[3].trim() : null,
+            operand
+        });
+    }
+    return { rules, error: null };
+}
 
-    @api tile16Label;
-    @api tile16AggregateFieldApiName;
-    @api tile16InitialAggregationType;
-    @api tile16FilterCondition;
+function compareThreshold(left, operator, right) {
+    switch (operator) {
+        case '>':
+            return left > right;
+        case '>=':
+            return left >= right;
+        case '<':
+            return left < right;
+        case '<=':
+            return left <= right;
+        case '!=':
+        case '<>':
+            return left !== right;
+        default:
+            return left === right;
+    }
+}
 
-    @api tile17Label;
-    @api tile17AggregateFieldApiName;
-    @api tile17InitialAggregationType;
-    @api tile17FilterCondition;
+/**
+ * First rule matching the tile value, or null. `value` is { kind, value }
+ * where kind is "number" (value is the number) or "date" (value is a
+ * calendar day as UTC midnight ms). Rules whose operand kind does not match
+ * the value are skipped.
+ */
+function findMatchingThresholdRule(rules, value) {
+    if (!value) {
+        return null;
+    }
+    return (
+        rules.find((rule) => {
+            if (!rule.operator) {
+                return true;
+            }
+            if (rule.operand.kind !== value.kind) {
+                return false;
+            }
+            let right = rule.operand.value;
+            if (rule.operand.kind === 'date') {
+                right =
+                    rule.operand.day !== undefined
+                        ? rule.operand.day
+                        : calendarDayInUserTimeZone(new Date()) +
+                          rule.operand.relativeDays * DAY_MS;
+            }
+            return compareThreshold(value.value, rule.operator, right);
+        }) || null
+    );
+}
 
-    @api tile18Label;
-    @api tile18AggregateFieldApiName;
-    @api tile18InitialAggregationType;
-    @api tile18FilterCondition;
+/**
+ * Parse a formula tile expression such as "{tile1} / {tile2} * 100" into a
+ * tree of { type: 'number' | 'ref' | 'negate' | 'binary' } nodes. Supports
+ * numbers, {tile} references, + - * /, unary minus and parentheses; nothing
+ * is ever passed to eval. Returns { ast, references, error }, where
+ * references are the distinct names used inside braces.
+ */
+function parseFormula(raw) {
+    const source = raw ? raw.toString() : '';
+    const tokens = [];
+    const tokenPattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|\{([^{}]*)\}|([-+*/()]))/y;
+    let position = 0;
+    while (position < source.length) {
+        tokenPattern.lastIndex = position;
+        const match = tokenPattern.exec(source);
+        if (!match) {
+            if (!source.substring(position).trim()) {
+                break;
+            }
+            return { ast: null, references: [], error: `Formula has an unexpected "${source.substring(position).trim().charAt(0)}".` };
+        }
+        position = tokenPattern.lastIndex;
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]), text: match[1] });
+        } else if (match[2] !== undefined) {
+            const name = match[2].trim();
+            if (!name) {
+                return { ast: null, references: [], error: 'Formula has an empty {} reference.' };
+            }
+            tokens.push({ type: 'ref', name, text: `{${match[2]}}` });
+        } else {
+            tokens.push({ type: 'op', value: match[3], text: match[3] });
+        }
+    }
+    if (!tokens.length) {
+        return { ast: null, references: [], error: 'Formula is empty.' };
+    }
 
-    @api tile19Label;
-    @api tile19AggregateFieldApiName;
-    @api tile19InitialAggregationType;
-    @api tile19FilterCondition;
+    let next = 0;
+    const peekOp = (...ops) =>
+        next < tokens.length && tokens[next].type === 'op' && ops.includes(tokens[next].value);
+    let parseSum;
+    const parseFactor = () => {
+        const token = tokens[next];
+        if (!token) {
+            throw new Error('Formula ends unexpectedly.');
+        }
+        next += 1;
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        if (token.type === 'ref') {
+            return { type: 'ref', name: token.name };
+        }
+        if (token.value === '-' || token.value === '+') {
+            const operand = parseFactor();
+            return token.value === '-' ? { type: 'negate', operand } : operand;
+        }
+        if (token.value === '(') {
+            const inner = parseSum();
+            if (!peekOp(')')) {
+                throw new Error('Formula is missing a closing ")".');
+            }
+            next += 1;
+            return inner;
+        }
+        throw new Error(`Formula has an unexpected "${token.text}".`);
+    };
+    const parseProduct = () => {
+        let node = parseFactor();
+        while (peekOp('*', '/')) {
+            const operator = tokens[next].value;
+            next += 1;
+            node = { type: 'binary', operator, left: node, right: parseFactor() };
+        }
+        return node;
+    };
+    parseSum = () => {
+        let node = parseProduct();
+        while (peekOp('+', '-')) {
+            const operator = tokens[next].value;
+            next += 1;
+            node = { type: 'binary', operator, left: node, right: parseProduct() };
+        }
+        return node;
+    };
+
+    let ast;
+    try {
+        ast = parseSum();
+        if (next < tokens.length) {
+            throw new Error(`Formula has an unexpected "${tokens[next].text}".`);
+        }
+    } catch (e) {
+        return { ast: null, references: [], error: e.message };
+    }
 
-    @api tile20Label;
-    @api tile20AggregateFieldApiName;
-    @api tile20InitialAggregationType;
-    @api tile20FilterCondition;
+    const references = [];
+    tokens.forEach((token) => {
+        if (token.type === 'ref' && !references.includes(token.name)) {
+            references.push(token.name);
+        }
+    });
+    return { ast, references, error: null };
+}
 
-    @api tile21Label;
-    @api tile21AggregateFieldApiName;
-    @api tile21InitialAggregationType;
-    @api tile21FilterCondition;
+/**
+ * Evaluate a parseFormula tree; `valueOf(name)` returns a reference's
+ * number. Division by zero yields Infinity or NaN, which callers treat as
+ * "no value".
+ */
+function evaluateFormula(node, valueOf) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'ref':
+            return valueOf(node.name);
+        case 'negate':
+            return -evaluateFormula(node.operand, valueOf);
+        default: {
+            const left = evaluateFormula(node.left, valueOf);
+            const right = evaluateFormula(node.right, valueOf);
+            switch (node.operator) {
+                case '+':
+                    return left + right;
+                case '-':
+                    return left - right;
+                case '*':
+                    return left * right;
+                default:
+                    return left / right;
+            }
+        }
+    }
+}
 
-    @api tile22Label;
-    @api tile22AggregateFieldApiName;
-    @api tile22InitialAggregationType;
-    @api tile22FilterCondition;
+function normalizeFormulaFormat(raw) {
+    const lower = raw ? raw.toString().trim().toLowerCase() : '';
+    return FORMULA_FORMATS.includes(lower) ? lower : 'number';
+}
 
-    @api tile23Label;
-    @api tile23AggregateFieldApiName;
-    @api tile23InitialAggregationType;
+function normalizeBreakdownStyle(raw) {
+    return raw && raw.toString().trim().toLowerCase() === 'donut' ? 'donut' : 'bars';
+}
+
+/**
+ * Breakdown rows for the template: each bucket's formatted value, its bar
+ * width (relative to the largest bucket) and its donut segment. The donut
+ * is an SVG circle with a circumference of 100, so each segment's dash
+ * length is its percentage of the total; negative and empty values are
+ * left out of it.
+ */
+function buildBreakdownRows(buckets, formatValue) {
+    const numbers = buckets.map((bucket) => {
+        const num = parseFloat(bucket.value);
+        return Number.isNaN(num) ? 0 : Math.max(num, 0);
+    });
+    const largest = Math.max(...numbers, 0);
+    const total = numbers.reduce((sum, num) => sum + num, 0);
+
+    let offset = 0;
+    return buckets.map((bucket, i) => {
+        const color = bucket.isOther
+            ? BREAKDOWN_OTHER_COLOR
+            : BREAKDOWN_COLORS[i % BREAKDOWN_COLORS.length];
+        const share = total > 0 ? (numbers[i] / total) * 100 : 0;
+        const width = largest > 0 ? (numbers[i] / largest) * 100 : 0;
+        const displayValue = formatValue(bucket.value);
+        const row = {
+            key: `${i}:${bucket.label}`,
+            label: bucket.label,
+            displayValue,
+            title: `${bucket.label}: ${displayValue}`,
+            swatchStyle: `background-color: ${color};`,
+            barStyle: `width: ${width.toFixed(2)}%; background-color: ${color};`,
+            color,
+            // Segments start at 12 o'clock: the circle's dash starts at 3
+            // o'clock, so shift by a quarter (25).
+            dashArray: `${share.toFixed(3)} ${(100 - share).toFixed(3)}`,
+            dashOffset: (25 - offset).toFixed(3)
+        };
+        offset += share;
+        return row;
+    });
+}
+
+/**
+ * Tooltip name of a sparkline bucket starting on `bucketStart`
+ * ("YYYY-MM-DD"): "Mar 4, 2025", "Week of Mar 3, 2025", "Mar 2025" or
+ * "Q1 2025".
+ */
+function describeSeriesBucket(bucketStart, bucketSize) {
+    const parsed = new Date(`${bucketStart}T00:00:00Z`);
+    if (isNaN(parsed.getTime())) {
+        return bucketStart;
+    }
+    switch (bucketSize) {
+        case 'WEEK':
+            return `Week of ${formatDateValue(bucketStart, 'date', 'medium')}`;
+        case 'MONTH':
+            return new Intl.DateTimeFormat(LOCALE, {
+                month: 'short',
+                year: 'numeric',
+                timeZone: 'UTC'
+            }).format(parsed);
+        case 'QUARTER':
+            return `Q${Math.floor(parsed.getUTCMonth() / 3) + 1} ${parsed.getUTCFullYear()}`;
+        default:
+            return formatDateValue(bucketStart, 'date', 'medium');
+    }
+}
+
+/**
+ * Sparkline for the template, drawn in a 100 x 24 SVG viewBox stretched to
+ * the tile's width: the polyline's points, scaled between the smallest and
+ * largest value, and one full-height column per bucket whose title is the
+ * bucket's tooltip.
+ */
+function buildSparkline(series, bucketSize, formatValue) {
+    const numbers = series.map((point) => {
+        const num = parseFloat(point.value);
+        return Number.isNaN(num) ? 0 : num;
+    });
+    const min = Math.min(...numbers);
+    const range = Math.max(...numbers) - min;
+    const step = 100 / numbers.length;
+
+    const points = numbers
+        .map((num, i) => {
+            const x = step * (i + 0.5);
+            // 2 units of padding keep the stroke inside the box; a flat
+            // series is drawn through the middle.
+            const y = range === 0 ? 12 : 22 - ((num - min) / range) * 20;
+            return `${x.toFixed(2)},${y.toFixed(2)}`;
+        })
+        .join(' ');
+    const columns = series.map((point, i) => ({
+        key: point.bucketStart,
+        x: (step * i).toFixed(2),
+        width: step.toFixed(2),
+        title: `${describeSeriesBucket(point.bucketStart, bucketSize)}: ${formatValue(point.value)}`
+    }));
+    return { points, columns };
+}
+
+/**
+ * 90 -> "90th", 1 -> "1st", 22.5 -> "22.5th".
+ */
+function ordinal(num) {
+    const lastTwo = num % 100;
+    if (!Number.isInteger(num) || (lastTwo >= 11 && lastTwo <= 13)) {
+        return `${num}th`;
+    }
+    return `${num}${{ 1: 'st', 2: 'nd', 3: 'rd' }[num % 10] || 'th'}`;
+}
+
+function capitalize(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+/**
+ * API name the way RollupService.normalizeApiName reads it:
+ * "Label (Api__c)" -> "Api__c", "Object.Field" -> "Field".
+ */
+function normalizeApiNameValue(raw) {
+    let name = raw ? raw.toString().trim() : '';
+    const open = name.lastIndexOf('(');
+    const close = name.lastIndexOf(')');
+    if (open !== -1 && close > open) {
+        name = name.substring(open + 1, close).trim();
+    }
+    const dot = name.lastIndexOf('.');
+    if (dot !== -1 && dot < name.length - 1) {
+        name = name.substring(dot + 1).trim();
+    }
+    return name;
+}
+
+/**
+ * Steps of a relationship path such as
+ * "Project__c.Program__c > Site__c.Project__c > Work_Order__c.Site__c"
+ * (separated by ">" or new lines), as { objectApiName,
+ * relationshipFieldApiName }. Malformed steps are skipped; RollupService
+ * reports them when the tile loads.
+ */
+function parseRelationshipPath(raw) {
+    return (raw ? raw.toString() : '')
+        .split(/[>\n]/)
+        .map((part) => part.trim())
+        .filter((part) => /^[^.]+\.[^.]+$/.test(part))
+        .map((part) => {
+            const [objectApiName, relationshipFieldApiName] = part
+                .split('.')
+                .map((name) => name.trim());
+            return { objectApiName, relationshipFieldApiName };
+        });
+}
+
+/**
+ * Human-readable singular label derived from an object API name:
+ * Opportunity -> "Opportunity", ns__Invoice_Line__c -> "Invoice Line".
+ */
+function objectLabelFromApiName(apiName) {
+    if (!apiName || typeof apiName !== 'string') {
+        return 'record';
+    }
+
+    let name = apiName.trim();
+
+    // Remove common suffixes
+    name = name.replace(/__c$/i, '').replace(/__x$/i, '');
+
+    // Strip namespace prefix if present (ns__Object)
+    const parts = name.split('__');
+    if (parts.length > 1) {
+        name = parts[1];
+    }
+
+    // Convert from PascalCase / camelCase / underscores to nice words
+    name = name
+        .replace(/_/g, ' ')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .trim();
+
+    if (!name) {
+        return 'record';
+    }
+
+    name = name
+        .split(' ')
+        .map((w) =>
+            w ? w[0].toUpperCase() + w.slice(1).toLowerCase() : ''
+        )
+        .join(' ')
+        .trim();
+
+    return name || 'record';
+}
+
+/**
+ * Change Data Capture channel for an object:
+ * Account -> /data/AccountChangeEvent, Invoice__c -> /data/Invoice__ChangeEvent.
+ */
+function changeEventChannel(objectApiName) {
+    const name = normalizeApiNameValue(objectApiName);
+    if (!name) {
+        return null;
+    }
+    return /__c$/i.test(name)
+        ? `/data/${name.replace(/__c$/i, '__ChangeEvent')}`
+        : `/data/${name}ChangeEvent`;
+}
+
+/**
+ * Lower-cased field names referenced by a SOQL filter fragment (quoted
+ * literals are skipped). Over-matches keywords, which only means a tile may
+ * reload when it did not strictly need to.
+ */
+function filterFieldNames(filterCondition) {
+    if (!filterCondition) {
+        return [];
+    }
+    const withoutLiterals = filterCondition.toString().replace(/'(?:\\.|[^'\\])*'/g, ' ');
+    return (withoutLiterals.match(/[A-Za-z][A-Za-z0-9_.]*/g) || []).map((name) =>
+        name.toLowerCase()
+    );
+}
+
+/**
+ * Lower-cased field names used by a structured filter (filterCriteria
+ * JSON). Malformed JSON yields none; RollupService reports it.
+ */
+function criteriaFieldNames(filterCriteria) {
+    let parsed;
+    try {
+        parsed = filterCriteria ? JSON.parse(filterCriteria) : null;
+    } catch (_e) {
+        return [];
+    }
+    const criteria = Array.isArray(parsed) ? parsed : parsed && parsed.criteria;
+    return (Array.isArray(criteria) ? criteria : [])
+        .filter((criterion) => criterion && criterion.field)
+        .map((criterion) => normalizeApiNameValue(criterion.field).toLowerCase());
+}
+
+/**
+ * Parse the tilesConfig property: a JSON array of tiles (or { "tiles": [...] }),
+ * each an object of TILE_SETTING_KEYS. Returns { tiles, error }; tiles is
+ * null when the property is blank.
+ */
+function parseTilesConfig(raw) {
+    if (raw === null || raw === undefined || !raw.toString().trim()) {
+        return { tiles: null, error: null };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (e) {
+        return { tiles: null, error: `Tiles Configuration (JSON) is not valid JSON: ${e.message}` };
+    }
+
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.tiles;
+    if (!Array.isArray(list) || !list.length) {
+        return {
+            tiles: null,
+            error: 'Tiles Configuration (JSON) must be a non-empty array of tiles, e.g. [{"label": "Open Amount", "aggregateFieldApiName": "Amount"}].'
+        };
+    }
+
+    for (let i = 0; i < list.length; i++) {
+        const tile = list[i];
+        if (!tile || typeof tile !== 'object' || Array.isArray(tile)) {
+            return { tiles: null, error: `Tiles Configuration (JSON): tile ${i + 1} must be an object.` };
+        }
+        for (const key of Object.keys(tile)) {
+            if (!TILE_SETTING_KEYS.includes(key)) {
+                return {
+                    tiles: null,
+                    error: `Tiles Configuration (JSON): tile ${i + 1} has unknown setting "${key}". Supported settings: ${TILE_SETTING_KEYS.join(', ')}.`
+                };
+            }
+            const value = tile[key];
+            if (
+                value !== null &&
+                typeof value === 'object' &&
+                !STRUCTURED_SETTING_KEYS.includes(key)
+            ) {
+                return {
+                    tiles: null,
+                    error: `Tiles Configuration (JSON): tile ${i + 1} setting "${key}" must be text, a number or true/false.`
+                };
+            }
+        }
+    }
+    return { tiles: list, error: null };
+}
+
+/**
+ * Best-effort message from an Apex / JS error.
+ */
+function reduceErrorMessage(error, fallback) {
+    if (error) {
+        if (error.body && error.body.message) {
+            return error.body.message;
+        }
+        if (error.message) {
+            return error.message;
+        }
+        if (typeof error === 'string') {
+            return error;
+        }
+    }
+    return fallback;
+}
+
+// Unique id generator for each grid instance (used for cross-instance coordination).
+let NEXT_INSTANCE_ID = 1;
+
+export default class RollupTileGrid extends LightningElement {
+    @api recordId;
+
+    // Layout
+    @api rows = 1;
+    @api columns = 1;
+
+    // Optional header shown above the grid
+    @api headerText;
+    @api headerHelpText;
+
+    // Shared rollup config for all tiles
+    @api childObjectApiName;
+    @api relationshipFieldApiName;
+
+    // NEW: optional grandchild path (Parent -> Child -> Grandchild).
+    // If both are populated, the grid rolls up from the GRANDCHILD object.
+    @api grandchildObjectApiName;
+    @api grandchildRelationshipFieldApiName;
+
+    // Any-depth alternative to the child/grandchild properties: ordered
+    // Object.Lookup pairs from this record down, separated by ">".
+    @api relationshipPath;
+
+    // Optional lookup path on this record (e.g. AccountId); every tile then
+    // rolls up under the record it points to. Resolved by RollupService.
+    @api parentSource;
+
+    @api styleVariant = 'Medium';
+    @api allowUserToChangeAggregation = false; // kept for compatibility
+    @api decimalPlaces = 2;
+
+    // Multi-currency orgs: show currency values in the record's currency
+    // ("Record Currency") or the running user's ("User Currency").
+    @api currencyDisplayMode = 'Record Currency';
+
+    // Refresh behavior – single Refresh button in header
+    @api showRefreshButton; // default from meta.xml; treated as true if undefined
+
+    // Export menu (Download CSV / Copy to clipboard) next to Refresh
+    @api showExportButton; // default from meta.xml; treated as true if undefined
+
+    // Optional comma-separated fields users filter every tile by, shown
+    // next to the Refresh button.
+    @api filterBarFields;
+
+    // Optional Platform Cache for tile results ("None", "Org" or
+    // "Session") and how long entries are kept, in minutes.
+    @api resultCache = 'None';
+    @api resultCacheTtlMinutes = 15;
+
+    // Reload tiles when related records change (Change Data Capture), plus
+    // optional comma-separated platform event channels.
+    @api autoRefreshOnChange = false;
+    @api autoRefreshChannels;
+
+    // Control whether to show summary text under the rollup value
+    @api showSummaryBelowValue; // default true if undefined
+
+    // Optional JSON list of tiles; replaces the tileN properties when set.
+    @api tilesConfig;
+
+    // Optional Rollup_Grid_Definition__mdt DeveloperName. When set, the
+    // relationship, tiles and any display settings filled in on the
+    // definition come from custom metadata instead of this page.
+    @api gridDefinitionName;
+
+    // ---- Tile-specific @api properties (1–25) ----
+    @api tile1Label;
+    @api tile1AggregateFieldApiName;
+    @api tile1InitialAggregationType;
+    @api tile1OrderByFieldApiName;
+    @api tile1FilterCondition;
+    @api tile1DateFormat;
+    @api tile1ComparisonPeriod;
+    @api tile1ComparisonDateFieldApiName;
+    @api tile1ThresholdRules;
+
+    @api tile2Label;
+    @api tile2AggregateFieldApiName;
+    @api tile2InitialAggregationType;
+    @api tile2OrderByFieldApiName;
+    @api tile2FilterCondition;
+    @api tile2DateFormat;
+    @api tile2ComparisonPeriod;
+    @api tile2ComparisonDateFieldApiName;
+    @api tile2ThresholdRules;
+
+    @api tile3Label;
+    @api tile3AggregateFieldApiName;
+    @api tile3InitialAggregationType;
+    @api tile3OrderByFieldApiName;
+    @api tile3FilterCondition;
+    @api tile3DateFormat;
+    @api tile3ComparisonPeriod;
+    @api tile3ComparisonDateFieldApiName;
+    @api tile3ThresholdRules;
+
+    @api tile4Label;
+    @api tile4AggregateFieldApiName;
+    @api tile4InitialAggregationType;
+    @api tile4OrderByFieldApiName;
+    @api tile4FilterCondition;
+    @api tile4DateFormat;
+    @api tile4ComparisonPeriod;
+    @api tile4ComparisonDateFieldApiName;
+    @api tile4ThresholdRules;
+
+    @api tile5Label;
+    @api tile5AggregateFieldApiName;
+    @api tile5InitialAggregationType;
+    @api tile5OrderByFieldApiName;
+    @api tile5FilterCondition;
+    @api tile5DateFormat;
+    @api tile5ComparisonPeriod;
+    @api tile5ComparisonDateFieldApiName;
+    @api tile5ThresholdRules;
+
+    @api tile6Label;
+    @api tile6AggregateFieldApiName;
+    @api tile6InitialAggregationType;
+    @api tile6OrderByFieldApiName;
+    @api tile6FilterCondition;
+    @api tile6DateFormat;
+    @api tile6ComparisonPeriod;
+    @api tile6ComparisonDateFieldApiName;
+    @api tile6ThresholdRules;
+
+    @api tile7Label;
+    @api tile7AggregateFieldApiName;
+    @api tile7InitialAggregationType;
+    @api tile7OrderByFieldApiName;
+    @api tile7FilterCondition;
+    @api tile7DateFormat;
+    @api tile7ComparisonPeriod;
+    @api tile7ComparisonDateFieldApiName;
+    @api tile7ThresholdRules;
+
+    @api tile8Label;
+    @api tile8AggregateFieldApiName;
+    @api tile8InitialAggregationType;
+    @api tile8OrderByFieldApiName;
+    @api tile8FilterCondition;
+    @api tile8DateFormat;
+    @api tile8ComparisonPeriod;
+    @api tile8ComparisonDateFieldApiName;
+    @api tile8ThresholdRules;
+
+    @api tile9Label;
+    @api tile9AggregateFieldApiName;
+    @api tile9InitialAggregationType;
+    @api tile9OrderByFieldApiName;
+    @api tile9FilterCondition;
+    @api tile9DateFormat;
+    @api tile9ComparisonPeriod;
+    @api tile9ComparisonDateFieldApiName;
+    @api tile9ThresholdRules;
+
+    @api tile10Label;
+    @api tile10AggregateFieldApiName;
+    @api tile10InitialAggregationType;
+    @api tile10OrderByFieldApiName;
+    @api tile10FilterCondition;
+    @api tile10DateFormat;
+    @api tile10ComparisonPeriod;
+    @api tile10ComparisonDateFieldApiName;
+    @api tile10ThresholdRules;
+
+    @api tile11Label;
+    @api tile11AggregateFieldApiName;
+    @api tile11InitialAggregationType;
+    @api tile11OrderByFieldApiName;
+    @api tile11FilterCondition;
+    @api tile11DateFormat;
+    @api tile11ComparisonPeriod;
+    @api tile11ComparisonDateFieldApiName;
+    @api tile11ThresholdRules;
+
+    @api tile12Label;
+    @api tile12AggregateFieldApiName;
+    @api tile12InitialAggregationType;
+    @api tile12OrderByFieldApiName;
+    @api tile12FilterCondition;
+    @api tile12DateFormat;
+    @api tile12ComparisonPeriod;
+    @api tile12ComparisonDateFieldApiName;
+    @api tile12ThresholdRules;
+
+    @api tile13Label;
+    @api tile13AggregateFieldApiName;
+    @api tile13InitialAggregationType;
+    @api tile13OrderByFieldApiName;
+    @api tile13FilterCondition;
+    @api tile13DateFormat;
+    @api tile13ComparisonPeriod;
+    @api tile13ComparisonDateFieldApiName;
+    @api tile13ThresholdRules;
+
+    @api tile14Label;
+    @api tile14AggregateFieldApiName;
+    @api tile14InitialAggregationType;
+    @api tile14OrderByFieldApiName;
+    @api tile14FilterCondition;
+    @api tile14DateFormat;
+    @api tile14ComparisonPeriod;
+    @api tile14ComparisonDateFieldApiName;
+    @api tile14ThresholdRules;
+
+    @api tile15Label;
+    @api tile15AggregateFieldApiName;
+    @api tile15InitialAggregationType;
+    @api tile15OrderByFieldApiName;
+    @api tile15FilterCondition;
+    @api tile15DateFormat;
+    @api tile15ComparisonPeriod;
+    @api tile15ComparisonDateFieldApiName;
+    @api tile15ThresholdRules;
+
+    @api tile16Label;
+    @api tile16AggregateFieldApiName;
+    @api tile16InitialAggregationType;
+    @api tile16OrderByFieldApiName;
+    @api tile16FilterCondition;
+    @api tile16DateFormat;
+    @api tile16ComparisonPeriod;
+    @api tile16ComparisonDateFieldApiName;
+    @api tile16ThresholdRules;
+
+    @api tile17Label;
+    @api tile17AggregateFieldApiName;
+    @api tile17InitialAggregationType;
+    @api tile17OrderByFieldApiName;
+    @api tile17FilterCondition;
+    @api tile17DateFormat;
+    @api tile17ComparisonPeriod;
+    @api tile17ComparisonDateFieldApiName;
+    @api tile17ThresholdRules;
+
+    @api tile18Label;
+    @api tile18AggregateFieldApiName;
+    @api tile18InitialAggregationType;
+    @api tile18OrderByFieldApiName;
+    @api tile18FilterCondition;
+    @api tile18DateFormat;
+    @api tile18ComparisonPeriod;
+    @api tile18ComparisonDateFieldApiName;
+    @api tile18ThresholdRules;
+
+    @api tile19Label;
+    @api tile19AggregateFieldApiName;
+    @api tile19InitialAggregationType;
+    @api tile19OrderByFieldApiName;
+    @api tile19FilterCondition;
+    @api tile19DateFormat;
+    @api tile19ComparisonPeriod;
+    @api tile19ComparisonDateFieldApiName;
+    @api tile19ThresholdRules;
+
+    @api tile20Label;
+    @api tile20AggregateFieldApiName;
+    @api tile20InitialAggregationType;
+    @api tile20OrderByFieldApiName;
+    @api tile20FilterCondition;
+    @api tile20DateFormat;
+    @api tile20ComparisonPeriod;
+    @api tile20ComparisonDateFieldApiName;
+    @api tile20ThresholdRules;
+
+    @api tile21Label;
+    @api tile21AggregateFieldApiName;
+    @api tile21InitialAggregationType;
+    @api tile21OrderByFieldApiName;
+    @api tile21FilterCondition;
+    @api tile21DateFormat;
+    @api tile21ComparisonPeriod;
+    @api tile21ComparisonDateFieldApiName;
+    @api tile21ThresholdRules;
+
+    @api tile22Label;
+    @api tile22AggregateFieldApiName;
+    @api tile22InitialAggregationType;
+    @api tile22OrderByFieldApiName;
+    @api tile22FilterCondition;
+    @api tile22DateFormat;
+    @api tile22ComparisonPeriod;
+    @api tile22ComparisonDateFieldApiName;
+    @api tile22ThresholdRules;
+
+    @api tile23Label;
+    @api tile23AggregateFieldApiName;
+    @api tile23InitialAggregationType;
+    @api tile23OrderByFieldApiName;
     @api tile23FilterCondition;
+    @api tile23DateFormat;
+    @api tile23ComparisonPeriod;
+    @api tile23ComparisonDateFieldApiName;
+    @api tile23ThresholdRules;
 
     @api tile24Label;
     @api tile24AggregateFieldApiName;
     @api tile24InitialAggregationType;
+    @api tile24OrderByFieldApiName;
     @api tile24FilterCondition;
+    @api tile24DateFormat;
+    @api tile24ComparisonPeriod;
+    @api tile24ComparisonDateFieldApiName;
+    @api tile24ThresholdRules;
 
     @api tile25Label;
     @api tile25AggregateFieldApiName;
     @api tile25InitialAggregationType;
+    @api tile25OrderByFieldApiName;
     @api tile25FilterCondition;
+    @api tile25DateFormat;
+    @api tile25ComparisonPeriod;
+    @api tile25ComparisonDateFieldApiName;
+    @api tile25ThresholdRules;
 
     // Internal state: array of tile view models (config + runtime state).
     tiles = [];
@@ -319,6 +1522,52 @@ export default class RollupTileGrid extends LightningElement {
     // Track per-tile timeouts (not reactive).
     _tileTimeouts = {};
 
+    // getCachedRollups wire: the parent and the requests of the last load
+    // of the whole grid (set by loadTiles), their request ids, and the last
+    // provisioned value, kept for refreshApex.
+    wiredParentId;
+    wiredRollupRequests;
+    _wiredRollupRequestsJson;
+    _wiredRequestIds = {};
+    _wiredRollups;
+
+    // Latest request id per tile, so stale responses are ignored (not reactive).
+    _tileRequestIds = {};
+    _requestSequence = 0;
+
+    // Set when a load that bypasses the cache changes the wired requests:
+    // whatever the cache provisions is then refreshed from the server.
+    _refreshWhenProvisioned = false;
+
+    // Auto refresh: empApi subscriptions and the pending (debounced) reload.
+    _subscriptions = [];
+    _autoRefreshActive = false;
+    _autoRefreshTimer;
+    _pendingRefreshIndexes = new Set();
+    _pendingRecordChecks = new Map();
+
+    // Loaded grid definition (RollupService.RollupGridDefinition), or the
+    // reason it could not be loaded.
+    _gridDefinition = null;
+    _gridDefinitionError = null;
+    isLoadingDefinition = false;
+
+    // Filter bar: fields from RollupService.getFilterBarFields and the
+    // user's selections (field API name -> { operator, value }).
+    _filterBarFields = [];
+    _filterSelections = {};
+
+    // Record the parent source resolved to (RollupResult.parentId).
+    _resolvedParentId = null;
+
+    // parsedTilesConfig cache.
+    _parsedTilesConfigSource;
+    _parsedTilesConfig;
+
+    // Drill-down modal view model (null when closed).
+    drillDown = null;
+    _drillDownSequence = 0;
+
     // Bound window click handler (for outside-click closing).
     _windowClickHandler;
 
@@ -375,8 +1624,15 @@ export default class RollupTileGrid extends LightningElement {
 
         this._initialized = true;
 
+        if (this.gridDefinitionName) {
+            this.loadGridDefinition();
+            return;
+        }
+
         if (!this.globalConfigError) {
+            this.loadFilterBar();
             this.refreshAllTiles();
+            this.subscribeToChangeEvents();
         }
     }
 
@@ -390,6 +1646,8 @@ export default class RollupTileGrid extends LightningElement {
         });
         this._tileTimeouts = {};
 
+        this.unsubscribeFromChangeEvents();
+
         // Remove global click listener.
         if (this._windowClickHandler && typeof window !== 'undefined') {
             window.removeEventListener('click', this._windowClickHandler);
@@ -440,21 +1698,74 @@ export default class RollupTileGrid extends LightningElement {
             error,
             stack,
             recordId: this.recordId,
-            childObjectApiName: this.childObjectApiName,
-            relationshipFieldApiName: this.relationshipFieldApiName,
-            grandchildObjectApiName: this.grandchildObjectApiName,
-            grandchildRelationshipFieldApiName: this.grandchildRelationshipFieldApiName
+            childObjectApiName: this.childObjectApiNameEffective,
+            relationshipFieldApiName: this.relationshipFieldApiNameEffective,
+            grandchildObjectApiName: this.grandchildObjectApiNameEffective,
+            grandchildRelationshipFieldApiName: this.grandchildRelationshipFieldApiNameEffective,
+            relationshipPath: this.relationshipPathEffective,
+            parentSource: this.parentSourceEffective
         });
 
         this.tiles = this.tiles.map((tile) =>
             this.recomputeTileDerivedFields({
                 ...tile,
-                isLoading: false,
-                error: msg
+                ...EMPTY_TILE_RESULT,
+                error: msg,
+                errorCode: 'UNEXPECTED_ERROR'
             })
         );
     }
 
+    // ------------- Grid definition (custom metadata) -------------
+
+    /**
+     * A shared setting: the grid definition's value when it has one,
+     * otherwise this component's own App Builder property.
+     */
+    gridSetting(name) {
+        const definition = this._gridDefinition;
+        if (definition) {
+            const value = definition[name];
+            if (value !== null && value !== undefined && value !== '') {
+                return value;
+            }
+        }
+        return this[name];
+    }
+
+    async loadGridDefinition() {
+        this.isLoadingDefinition = true;
+        try {
+            const definition = await getGridDefinition({
+                definitionName: this.gridDefinitionName,
+                parentId: this.recordId
+            });
+            // errorMessage (the diagnostic) only reaches users with
+            // Rollup_Diagnostics; everyone else gets the user message.
+            if (!definition || definition.errorCode || definition.errorMessage) {
+                this._gridDefinitionError =
+                    (definition && (definition.errorMessage || definition.userMessage)) ||
+                    'The grid definition could not be loaded.';
+            } else {
+                this._gridDefinition = definition;
+            }
+        } catch (error) {
+            this._gridDefinitionError = reduceErrorMessage(
+                error,
+                'Unexpected error while loading grid definition.'
+            );
+        } finally {
+            this.isLoadingDefinition = false;
+        }
+
+        this.initializeTilesFromConfig();
+        if (!this.globalConfigError) {
+            this.loadFilterBar();
+            this.refreshAllTiles();
+            this.subscribeToChangeEvents();
+        }
+    }
+
     // ------------- Layout helpers -------------
 
     get normalizedRows() {
@@ -462,7 +1773,7 @@ export default class RollupTileGrid extends LightningElement {
     }
 
     get normalizedColumns() {
-        return this.normalizeDimension(this.columns, 1, MAX_COLUMNS);
+        return this.normalizeDimension(this.gridSetting('columns'), 1, MAX_COLUMNS);
     }
 
     normalizeDimension(value, min, max) {
@@ -484,8 +1795,8 @@ export default class RollupTileGrid extends LightningElement {
     // Size / style mapping (Small / Medium / Large with legacy support).
     get normalizedStyleVariant() {
         let variant =
-            this.styleVariant && typeof this.styleVariant === 'string'
-                ? this.styleVariant.toLowerCase()
+            this.styleVariantEffective && typeof this.styleVariantEffective === 'string'
+                ? this.styleVariantEffective.toLowerCase()
                 : 'medium';
 
         // Map legacy values to new names
@@ -519,9 +1830,21 @@ export default class RollupTileGrid extends LightningElement {
 
     // ------------- Header helpers -------------
 
+    get styleVariantEffective() {
+        return this.gridSetting('styleVariant');
+    }
+
+    get headerTextEffective() {
+        return this.gridSetting('headerText');
+    }
+
+    get headerHelpTextEffective() {
+        return this.gridSetting('headerHelpText');
+    }
+
     get hasHeader() {
-        const text = this.headerText ? this.headerText.trim() : '';
-        const help = this.headerHelpText ? this.headerHelpText.trim() : '';
+        const text = this.headerTextEffective ? this.headerTextEffective.trim() : '';
+        const help = this.headerHelpTextEffective ? this.headerHelpTextEffective.trim() : '';
         return !!(text || help);
     }
 
@@ -530,7 +1853,7 @@ export default class RollupTileGrid extends LightningElement {
             this.showRefreshButton === undefined || this.showRefreshButton === null
                 ? true
                 : this.showRefreshButton;
-        return this.hasHeader || showRefresh;
+        return this.hasHeader || showRefresh || this.showExportButtonEffective || this.hasFilterBar;
     }
 
     get showRefreshButtonEffective() {
@@ -543,6 +1866,19 @@ export default class RollupTileGrid extends LightningElement {
         );
     }
 
+    get showExportButtonEffective() {
+        return (
+            this.showExportButton === true ||
+            this.showExportButton === 'true' ||
+            this.showExportButton === undefined ||
+            this.showExportButton === null
+        );
+    }
+
+    get isExportDisabled() {
+        return !this.tiles || !this.tiles.length;
+    }
+
     get allowUserToChangeAggregationEffective() {
         return (
             this.allowUserToChangeAggregation === true ||
@@ -562,58 +1898,249 @@ export default class RollupTileGrid extends LightningElement {
         );
     }
 
-    // ------------- Grandchild-mode helpers -------------
+    /**
+     * RollupService currency mode: USER or PARENT (the record's currency).
+     */
+    get currencyModeForApex() {
+        const mode =
+            this.currencyDisplayMode && typeof this.currencyDisplayMode === 'string'
+                ? this.currencyDisplayMode.trim().toLowerCase()
+                : '';
+        return mode.startsWith('user') ? 'USER' : 'PARENT';
+    }
+
+    /**
+     * RollupService result cache: ORG, SESSION or null (no caching).
+     */
+    get resultCacheForApex() {
+        const raw = this.gridSetting('resultCache');
+        const mode = raw && typeof raw === 'string' ? raw.trim().toUpperCase() : '';
+        return mode && mode !== 'NONE' ? mode : null;
+    }
+
+    get resultCacheTtlMinutesForApex() {
+        const minutes = parseInt(this.gridSetting('resultCacheTtlMinutes'), 10);
+        return isNaN(minutes) ? null : minutes;
+    }
+
+    // ------------- Shared relationship (page or grid definition) -------------
+
+    get childObjectApiNameEffective() {
+        return this.gridSetting('childObjectApiName');
+    }
+
+    get relationshipFieldApiNameEffective() {
+        return this.gridSetting('relationshipFieldApiName');
+    }
+
+    get grandchildObjectApiNameEffective() {
+        return this.gridSetting('grandchildObjectApiName');
+    }
+
+    get grandchildRelationshipFieldApiNameEffective() {
+        return this.gridSetting('grandchildRelationshipFieldApiName');
+    }
+
+    get relationshipPathEffective() {
+        return this.gridSetting('relationshipPath');
+    }
+
+    get parentSourceEffective() {
+        return this.gridSetting('parentSource');
+    }
+
+    /**
+     * Id of the record the tiles roll up under: this record, or the one the
+     * parent source points to once Apex has resolved it (null until then).
+     */
+    get rollupParentId() {
+        return this.parentSourceEffective ? this._resolvedParentId : this.recordId;
+    }
+
+    get decimalPlacesEffective() {
+        return this.gridSetting('decimalPlaces');
+    }
+
+    // ------------- Per-tile relationship path -------------
+
+    /**
+     * Relationship path for a tile: its own relationship path, or its own
+     * child object / relationship field when set, otherwise the grid's. A
+     * tile with its own child object hangs off a different object, so it only
+     * uses a grandchild pair it sets itself; other tiles inherit the grid's
+     * pair unless they set one. Mirrors tileRequest() in RollupService.
+     *
+     * `steps` lists the path's { objectApiName, relationshipFieldApiName }
+     * hops from the page record down; the last one is aggregated.
+     * `missing` lists the tile's own path settings that still need a value.
+     */
+    tilePath(tile) {
+        const trim = (value) => (value ? value.toString().trim() : '');
+        const ownChild = !!trim(tile.childObjectApiName);
+        const ownGrandchild = !!(
+            trim(tile.grandchildObjectApiName) || trim(tile.grandchildRelationshipFieldApiName)
+        );
+        const inheritsGridPath =
+            !ownChild && !ownGrandchild && !trim(tile.relationshipFieldApiName);
+        const relationshipPath = trim(tile.relationshipPath) ||
+            (inheritsGridPath ? trim(this.relationshipPathEffective) : '');
+
+        if (relationshipPath) {
+            const steps = parseRelationshipPath(relationshipPath);
+            return {
+                relationshipPath,
+                steps,
+                aggregateObjectApiName: steps.length
+                    ? steps[steps.length - 1].objectApiName
+                    : null,
+                missing: []
+            };
+        }
+
+        const childObjectApiName = ownChild
+            ? tile.childObjectApiName
+            : this.childObjectApiNameEffective;
+        const relationshipFieldApiName =
+            ownChild || trim(tile.relationshipFieldApiName)
+                ? tile.relationshipFieldApiName
+                : this.relationshipFieldApiNameEffective;
+        const grandchildSource =
+            ownChild || ownGrandchild
+                ? tile
+                : {
+                      grandchildObjectApiName: this.grandchildObjectApiNameEffective,
+                      grandchildRelationshipFieldApiName:
+                          this.grandchildRelationshipFieldApiNameEffective
+                  };
+        const grandchildObjectApiName = trim(grandchildSource.grandchildObjectApiName);
+        const grandchildRelationshipFieldApiName = trim(
+            grandchildSource.grandchildRelationshipFieldApiName
+        );
+
+        // Queries roll up from the grandchild object when both are set.
+        const isGrandchildMode = !!(grandchildObjectApiName && grandchildRelationshipFieldApiName);
+
+        const steps = [{ objectApiName: childObjectApiName, relationshipFieldApiName }];
+        if (isGrandchildMode) {
+            steps.push({
+                objectApiName: grandchildObjectApiName,
+                relationshipFieldApiName: grandchildRelationshipFieldApiName
+            });
+        }
+
+        const missing = [];
+        if (ownChild && !trim(tile.relationshipFieldApiName)) {
+            missing.push({ key: 'relationshipFieldApiName', label: 'Relationship Field' });
+        }
+        if (ownGrandchild && !grandchildObjectApiName) {
+            missing.push({ key: 'grandchildObjectApiName', label: 'Grandchild Object' });
+        }
+        if (ownGrandchild && !grandchildRelationshipFieldApiName) {
+            missing.push({
+                key: 'grandchildRelationshipFieldApiName',
+                label: 'Relationship Field (lookup on grandchild)'
+            });
+        }
+
+        return {
+            relationshipPath: null,
+            childObjectApiName,
+            relationshipFieldApiName,
+            grandchildObjectApiName: isGrandchildMode ? grandchildObjectApiName : null,
+            grandchildRelationshipFieldApiName: isGrandchildMode
+                ? grandchildRelationshipFieldApiName
+                : null,
+            steps,
+            aggregateObjectApiName: isGrandchildMode ? grandchildObjectApiName : childObjectApiName,
+            missing
+        };
+    }
 
     /**
-     * True when the admin has configured both grandchild properties.
-     * When true, queries roll up from the grandchild object instead of the child.
+     * Singular label of the object a tile aggregates over (the last object
+     * on its path), for summary text.
      */
-    get isGrandchildMode() {
-        const obj =
-            this.grandchildObjectApiName &&
-            this.grandchildObjectApiName.toString().trim();
-        const rel =
-            this.grandchildRelationshipFieldApiName &&
-            this.grandchildRelationshipFieldApiName.toString().trim();
-        return !!(obj && rel);
+    tileObjectLabel(tile) {
+        return objectLabelFromApiName(this.tilePath(tile).aggregateObjectApiName);
     }
 
     /**
-     * Object API name to use when building summary labels:
-     *  - Child object in normal mode
-     *  - Grandchild object when grandchild mode is enabled
+     * "Filter not applied: Stage isn't on Case" when the filter bar has
+     * selections on fields the tile's object doesn't have (Apex skips them
+     * and lists them in skippedFilterFields).
      */
-    get aggregateObjectApiNameForLabel() {
-        if (this.isGrandchildMode && this.grandchildObjectApiName) {
-            return this.grandchildObjectApiName;
+    describeSkippedFilters(tile) {
+        if (!tile.skippedFilterFields || !tile.skippedFilterFields.length) {
+            return null;
         }
-        return this.childObjectApiName;
+        const labels = tile.skippedFilterFields.map((fieldApiName) => {
+            const field = this._filterBarFields.find(
+                (f) => (f.fieldApiName || '').toLowerCase() === fieldApiName.toLowerCase()
+            );
+            return field && field.label ? field.label : fieldApiName;
+        });
+        const verb = labels.length === 1 ? "isn't" : "aren't";
+        return `Filter not applied: ${labels.join(', ')} ${verb} on ${this.tileObjectLabel(tile)}`;
     }
 
     // ------------- Config error (shared across tiles) -------------
 
+    /**
+     * Parsed tilesConfig, cached per raw value (the getter runs on every render).
+     */
+    get parsedTilesConfig() {
+        if (this._parsedTilesConfigSource !== this.tilesConfig || !this._parsedTilesConfig) {
+            this._parsedTilesConfigSource = this.tilesConfig;
+            this._parsedTilesConfig = parseTilesConfig(this.tilesConfig);
+        }
+        return this._parsedTilesConfig;
+    }
+
     get globalConfigError() {
+        if (this.gridDefinitionName) {
+            // Nothing to report until the definition has loaded.
+            if (this._gridDefinitionError || !this._gridDefinition) {
+                return this._gridDefinitionError;
+            }
+        } else if (this.parsedTilesConfig.error) {
+            return this.parsedTilesConfig.error;
+        }
+
         const missing = [];
 
-        if (!this.childObjectApiName) {
+        // The shared child object / relationship field is only required for
+        // tiles that rely on them (no relationship path of their own or
+        // inherited from the grid, and not a formula tile).
+        const allTiles = this.tiles || [];
+        const tiles = allTiles.filter((tile) => !tile.isFormula);
+        const usesGridChild = (tile) =>
+            !this.tilePath(tile).relationshipPath && !tile.childObjectApiName;
+        const needsGridChild = allTiles.length
+            ? tiles.some(usesGridChild)
+            : !this.relationshipPathEffective;
+        const needsGridRelationship = allTiles.length
+            ? tiles.some((tile) => usesGridChild(tile) && !tile.relationshipFieldApiName)
+            : !this.relationshipPathEffective;
+
+        if (needsGridChild && !this.childObjectApiNameEffective) {
             missing.push('Child Object');
         }
-        if (!this.relationshipFieldApiName) {
+        if (needsGridRelationship && !this.relationshipFieldApiNameEffective) {
             missing.push('Relationship Field (lookup on child)');
         }
 
         // Only require grandchild properties if the admin has started to configure them.
         const hasAnyGrandchildConfig =
-            (this.grandchildObjectApiName &&
-                this.grandchildObjectApiName.toString().trim()) ||
-            (this.grandchildRelationshipFieldApiName &&
-                this.grandchildRelationshipFieldApiName.toString().trim());
+            (this.grandchildObjectApiNameEffective &&
+                this.grandchildObjectApiNameEffective.toString().trim()) ||
+            (this.grandchildRelationshipFieldApiNameEffective &&
+                this.grandchildRelationshipFieldApiNameEffective.toString().trim());
 
         if (hasAnyGrandchildConfig) {
-            if (!this.grandchildObjectApiName) {
+            if (!this.grandchildObjectApiNameEffective) {
                 missing.push('Grandchild Object');
             }
-            if (!this.grandchildRelationshipFieldApiName) {
+            if (!this.grandchildRelationshipFieldApiNameEffective) {
                 missing.push('Relationship Field (lookup on grandchild)');
             }
         }
@@ -625,76 +2152,137 @@ export default class RollupTileGrid extends LightningElement {
         return (
             'Rollup Tile Grid is not fully configured yet. Missing: ' +
             missing.join(', ') +
-            '. In the Lightning App Builder, set these properties (and at minimum configure "Tile 1 Aggregate Field") before using this component.'
+            '. In the Lightning App Builder, set these properties or give every tile its own child object and relationship field (and at minimum configure "Tile 1 Aggregate Field") before using this component.'
         );
     }
 
+    // ------------- Tile initialization -------------
+
     /**
-     * Derive a human-readable singular object label from the object we’re
-     * actually aggregating over:
-     *  - Child object in normal mode
-     *  - Grandchild object in grandchild mode
+     * Tiles come from the grid definition when gridDefinitionName is set,
+     * else from tilesConfig when it is set (either way any number of tiles;
+     * rows are ignored and tiles wrap by column count), otherwise from the
+     * tile1..tile25 properties for the rows x columns slots.
      */
-    get childObjectLabelSingular() {
-        const apiName = this.aggregateObjectApiNameForLabel;
-        if (!apiName || typeof apiName !== 'string') {
-            return 'record';
-        }
-
-        let name = apiName.trim();
-
-        // Remove common suffixes
-        name = name.replace(/__c$/i, '').replace(/__x$/i, '');
-
-        // Strip namespace prefix if present (ns__Object)
-        const parts = name.split('__');
-        if (parts.length > 1) {
-            name = parts[1];
-        }
+    initializeTilesFromConfig() {
+        const configuredTiles = this.parsedTilesConfig.tiles;
+        const tiles = [];
 
-        // Convert from PascalCase / camelCase / underscores to nice words
-        name = name
-            .replace(/_/g, ' ')
-            .replace(/([a-z])([A-Z])/g, '$1 $2')
-            .trim();
+        if (this.gridDefinitionName) {
+            const definitionTiles = this._gridDefinition ? this._gridDefinition.tiles : [];
+            (definitionTiles || []).forEach((settings, i) => {
+                tiles.push(this.buildInitialTileConfig(i + 1, settings, 'definition'));
+            });
+        } else if (configuredTiles) {
+            configuredTiles.forEach((settings, i) => {
+                tiles.push(this.buildInitialTileConfig(i + 1, settings, 'json'));
+            });
+        } else {
+            const rows = this.normalizedRows;
+            const cols = this.normalizedColumns;
+            const maxSlots = Math.min(rows * cols, MAX_TILES);
 
-        if (!name) {
-            return 'record';
+            for (let index = 1; index <= maxSlots; index++) {
+                tiles.push(this.buildInitialTileConfig(index, this.readTileProperties(index)));
+            }
         }
 
-        name = name
-            .split(' ')
-            .map((w) =>
-                w ? w[0].toUpperCase() + w.slice(1).toLowerCase() : ''
-            )
-            .join(' ')
-            .trim();
-
-        return name || 'record';
+        this.resolveFormulaReferences(tiles);
+        this.tiles = tiles;
     }
 
-    // ------------- Tile initialization -------------
+    /**
+     * Point each formula reference at a tile: {tile3} is the third tile,
+     * anything else matches another tile's key (its developer name for
+     * tile definitions), ignoring case.
+     */
+    resolveFormulaReferences(tiles) {
+        tiles
+            .filter((tile) => tile.isFormula && !tile.formulaError)
+            .forEach((tile) => {
+                for (const name of tile.formulaReferences) {
+                    const indexMatch = /^tile\s*(\d+)$/i.exec(name);
+                    const target = indexMatch
+                        ? tiles.find((other) => other.index === Number(indexMatch[1]))
+                        : tiles.find(
+                              (other) =>
+                                  other.key && other.key.toLowerCase() === name.toLowerCase()
+                          );
+                    if (!target) {
+                        tile.formulaError = `Formula refers to {${name}}, but there is no such tile.`;
+                        return;
+                    }
+                    if (target === tile) {
+                        tile.formulaError = 'Formula cannot refer to its own tile.';
+                        return;
+                    }
+                    tile.formulaDependencies[name] = target.index;
+                }
+            });
+    }
 
-    initializeTilesFromConfig() {
-        const rows = this.normalizedRows;
-        const cols = this.normalizedColumns;
-        const maxSlots = Math.min(rows * cols, MAX_TILES);
-        const tiles = [];
+    /**
+     * Settings for tile N from its tile{N}<Setting> App Builder properties.
+     */
+    readTileProperties(index) {
+        const settings = {};
+        TILE_SETTING_KEYS.forEach((key) => {
+            settings[key] = this[`tile${index}${key.charAt(0).toUpperCase()}${key.slice(1)}`];
+        });
+        return settings;
+    }
 
-        for (let index = 1; index <= maxSlots; index++) {
-            tiles.push(this.buildInitialTileConfig(index));
+    /**
+     * Where an admin fixes a tile setting, for error messages:
+     * "Tile 3 Aggregate Field", the JSON key for tilesConfig tiles, or the
+     * tile definition record.
+     */
+    describeTileSetting(tile, key, propertyLabel) {
+        if (tile.settingsSource === 'definition') {
+            return `${propertyLabel} on the "${tile.definitionName}" tile definition (custom metadata)`;
         }
-
-        this.tiles = tiles;
+        if (tile.settingsSource === 'json') {
+            return `"${key}" for tile ${tile.index} in "Tiles Configuration (JSON)"`;
+        }
+        return `"Tile ${tile.index} ${propertyLabel}"`;
     }
 
-    buildInitialTileConfig(index) {
-        const suffix = index.toString();
-
-        const label = this[`tile${suffix}Label`];
-        const aggregateFieldApiName = this[`tile${suffix}AggregateFieldApiName`];
-        const rawAggregationType = this[`tile${suffix}InitialAggregationType`];
-        const filterCondition = this[`tile${suffix}FilterCondition`];
+    /**
+     * `settingsSource` is "properties" (tileN App Builder properties),
+     * "json" (tilesConfig) or "definition" (Rollup_Tile_Definition__mdt).
+     */
+    buildInitialTileConfig(index, settings, settingsSource = 'properties') {
+        const text = (value) =>
+            value === null || value === undefined || value === ''
+                ? undefined
+                : String(value);
+
+        const label = text(settings.label);
+        const childObjectApiName = text(settings.childObjectApiName);
+        const relationshipFieldApiName = text(settings.relationshipFieldApiName);
+        const grandchildObjectApiName = text(settings.grandchildObjectApiName);
+        const grandchildRelationshipFieldApiName = text(
+            settings.grandchildRelationshipFieldApiName
+        );
+        const aggregateFieldApiName = text(settings.aggregateFieldApiName);
+        const rawAggregationType = text(settings.initialAggregationType);
+        const orderByFieldApiName = text(settings.orderByFieldApiName);
+        const percentile = parseFloat(settings.percentile);
+        const filterCondition = text(settings.filterCondition);
+        // JSON tiles may give the criteria as JSON; Apex expects it as text.
+        const filterCriteria =
+            settings.filterCriteria !== null && typeof settings.filterCriteria === 'object'
+                ? JSON.stringify(settings.filterCriteria)
+                : text(settings.filterCriteria);
+        const dateFormat = normalizeDateFormat(text(settings.dateFormat));
+        const comparisonPeriod = normalizeComparisonPeriod(text(settings.comparisonPeriod));
+        const comparisonDateFieldApiName = text(settings.comparisonDateFieldApiName);
+        const thresholds = parseThresholdRules(text(settings.thresholdRules));
+        const formula = text(settings.formula);
+        const parsedFormula = formula ? parseFormula(formula) : null;
+        const groupByFieldApiName = formula ? undefined : text(settings.groupByFieldApiName);
+        const breakdownLimit = parseInt(settings.breakdownLimit, 10);
+        const trendDateFieldApiName = formula ? undefined : text(settings.trendDateFieldApiName);
 
         const initialAggregationType =
             this.normalizeAggregationType(rawAggregationType);
@@ -703,16 +2291,59 @@ export default class RollupTileGrid extends LightningElement {
 
         // Use a single global decimal setting for all tiles.
         const decimalPlaces =
-            this.decimalPlaces !== null && this.decimalPlaces !== undefined
-                ? this.decimalPlaces
+            this.decimalPlacesEffective !== null && this.decimalPlacesEffective !== undefined
+                ? this.decimalPlacesEffective
                 : 2;
 
         const baseTile = {
             index,
+            settingsSource,
+            definitionName: settingsSource === 'definition' ? settings.name : null,
+            // Name other tiles' formulas use for this tile (besides tileN)
+            key: settingsSource === 'definition' ? settings.name : text(settings.key),
+            // Configuration error reported with the tile definition, if any,
+            // and its code
+            configError:
+                settingsSource === 'definition'
+                    ? settings.errorMessage || settings.userMessage || null
+                    : null,
+            configErrorCode: settingsSource === 'definition' ? settings.errorCode || null : null,
             label: label || `Tile ${index}`,
+            // Optional per-tile path; blanks fall back to the grid (see tilePath)
+            childObjectApiName,
+            relationshipFieldApiName,
+            grandchildObjectApiName,
+            grandchildRelationshipFieldApiName,
             aggregateFieldApiName,
             initialAggregationType,
+            orderByFieldApiName,
+            percentile: Number.isNaN(percentile) ? undefined : percentile,
+            weightFieldApiName: text(settings.weightFieldApiName),
             filterCondition,
+            filterCriteria,
+            dateFormat,
+            comparisonPeriod,
+            comparisonDateFieldApiName,
+            thresholdRules: thresholds.rules,
+            thresholdRulesError: thresholds.error,
+            // Breakdown tiles list the aggregate per value of a field
+            isBreakdown: !!groupByFieldApiName,
+            groupByFieldApiName,
+            breakdownLimit: Number.isNaN(breakdownLimit) ? undefined : breakdownLimit,
+            isDonut: normalizeBreakdownStyle(text(settings.breakdownStyle)) === 'donut',
+            // Trend tiles draw a sparkline of the aggregate over time
+            trendDateFieldApiName,
+            trendBucketSize: text(settings.trendBucketSize),
+            // Formula tiles compute their value from other tiles instead of
+            // querying; formulaDependencies (reference -> tile index) is
+            // filled in by resolveFormulaReferences.
+            isFormula: !!formula,
+            formula,
+            formulaFormat: normalizeFormulaFormat(text(settings.formulaFormat)),
+            formulaAst: parsedFormula ? parsedFormula.ast : null,
+            formulaReferences: parsedFormula ? parsedFormula.references : [],
+            formulaError: parsedFormula ? parsedFormula.error : null,
+            formulaDependencies: {},
             decimalPlaces,
             fieldCategory,
 
@@ -725,14 +2356,73 @@ export default class RollupTileGrid extends LightningElement {
             isCurrency: false,
             isPercent: false,
             isDate: false,
+            dateType: null,
             fieldLabel: null,
+            currencyIsoCode: null,
+            orderByFieldLabel: null,
+            weightFieldLabel: null,
+            priorValue: null,
+            priorRecordCount: null,
+            periodStart: null,
+            periodEnd: null,
+            priorPeriodStart: null,
+            priorPeriodEnd: null,
+            comparisonWarning: null,
+            skippedFilterFields: null,
+            groupByFieldLabel: null,
+            buckets: null,
+            seriesBucketSize: null,
+            series: null,
+            computedAt: null,
+            isCached: false,
+            errorCode: null,
+            errorField: null,
+            errorSeverity: null,
+            errorUserMessage: null,
+            isErrorExpanded: false,
+            formulaNote: null,
             isAggregationMenuOpen: false,
 
             // derived view fields (filled by recomputeTileDerivedFields)
             displayValue: '-',
+            isNumericValue: false,
+            aggregationLabel: null,
             hasRecordCount: false,
+            hasSummary: false,
             summaryRecordLabel: null,
             summaryLabel: null,
+            summaryTitle: null,
+            containerClass: this.tileContainerClass,
+            canDrillDown: false,
+            valueClass: 'st-rollup-tile__value slds-truncate',
+            summaryClass: 'st-rollup-tile__summary slds-text-body_small slds-truncate',
+            drillDownRole: null,
+            drillDownTabIndex: '-1',
+            hasTrend: false,
+            trendLabel: null,
+            trendTitle: null,
+            trendClass: null,
+            trendIconName: null,
+            hasFilterWarning: false,
+            filterWarningLabel: null,
+            hasBreakdown: false,
+            breakdownRows: [],
+            breakdownTitle: null,
+            hasSparkline: false,
+            sparklinePoints: null,
+            sparklineColumns: [],
+            sparklineLabel: null,
+            hasComputedAt: false,
+            computedAtLabel: null,
+            computedAtTitle: null,
+            errorText: null,
+            errorClass: 'st-rollup-tile__error',
+            errorIconName: null,
+            errorIconVariant: null,
+            errorSeverityLabel: null,
+            errorDetails: [],
+            errorToggleLabel: 'Show details',
+            errorExpandedAria: 'false',
             aggregationMenuOptions: [],
             gearMenuClass: ''
         };
@@ -758,6 +2448,21 @@ export default class RollupTileGrid extends LightningElement {
 
     // ------------- Tile view-model helpers -------------
 
+    /**
+     * A formula with its {references} replaced by the tiles' labels.
+     */
+    describeFormula(tile) {
+        const tiles = this.tiles || [];
+        return tile.formula
+            .replace(/\{([^{}]*)\}/g, (reference, name) => {
+                const index = tile.formulaDependencies[name.trim()];
+                const target = tiles.find((other) => other.index === index);
+                return target ? target.label : reference;
+            })
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
     recomputeTileDerivedFields(tile) {
         const aggregateType =
             normalizeAggTypeValue(
@@ -765,54 +2470,81 @@ export default class RollupTileGrid extends LightningElement {
             ) || 'SUM';
 
         const isDateAggregate =
-            tile &&
-            tile.isDate &&
-            (aggregateType === 'MIN' || aggregateType === 'MAX');
+            tile && tile.isDate && DATE_VALUE_TYPES.includes(aggregateType);
 
-        // Numeric aggregate?
+        // Counts of a currency field are plain numbers, not amounts.
+        const isCurrencyAggregate =
+            !!tile.isCurrency && !COUNT_TYPES.includes(aggregateType);
+
+        // Numeric aggregate? (FIRST/LAST of a currency field is an amount too.)
         const isNumericAggregate =
-            NUMERIC_TYPES.includes(aggregateType) && !isDateAggregate;
+            (NUMERIC_TYPES.includes(aggregateType) || isCurrencyAggregate) &&
+            !isDateAggregate;
 
         // Decide which "field category" this tile belongs to for dropdown filtering.
         const fieldCategory = resolveFieldCategory(tile);
         const allowedSet = getAllowedAggregationsForCategory(fieldCategory);
 
+        const numberFormat = {
+            // Apex reports the ISO code the value was converted to.
+            currencyIsoCode: isCurrencyAggregate
+                ? tile.currencyIsoCode || USER_CURRENCY
+                : null,
+            isPercent: !!tile.isPercent && !COUNT_TYPES.includes(aggregateType),
+            fractionDigits:
+                tile.decimalPlaces !== undefined && tile.decimalPlaces !== null
+                    ? parseInt(tile.decimalPlaces, 10)
+                    : 2
+        };
+
+        const formatNumericValue = (raw) => {
+            const num = parseFloat(raw);
+            if (isNaN(num)) {
+                return raw;
+            }
+            try {
+                return formatTileNumber(num, numberFormat);
+            } catch (_e) {
+                return raw;
+            }
+        };
+
         // displayValue
         let displayValue;
         if (tile.value === null || tile.value === undefined || tile.value === '') {
             displayValue = '-';
         } else if (isNumericAggregate) {
-            const num = parseFloat(tile.value);
-            if (isNaN(num)) {
+            displayValue = formatNumericValue(tile.value);
+        } else if (isDateAggregate) {
+            try {
+                displayValue = formatDateValue(
+                    tile.value,
+                    tile.dateType,
+                    tile.dateFormat || DEFAULT_DATE_FORMAT
+                );
+            } catch (_e) {
                 displayValue = tile.value;
-            } else {
-                const fractionDigits =
-                    tile.decimalPlaces !== undefined && tile.decimalPlaces !== null
-                        ? parseInt(tile.decimalPlaces, 10)
-                        : 2;
-
-                try {
-                    const formatted = new Intl.NumberFormat(LOCALE, {
-                        minimumFractionDigits: 0,
-                        maximumFractionDigits: fractionDigits
-                    }).format(num);
-
-                    if (tile.isCurrency) {
-                        displayValue = '$' + formatted;
-                    } else if (tile.isPercent) {
-                        displayValue = formatted + '%';
-                    } else {
-                        displayValue = formatted;
-                    }
-                } catch (_e) {
-                    displayValue = tile.value;
-                }
             }
         } else {
-            // For text-like and date aggregates, use the string as-is.
+            // For text-like aggregates, use the string as-is.
             displayValue = tile.value;
         }
 
+        // Color rules -> status class on the <article>
+        const thresholdRule = this.findThresholdRule(
+            tile,
+            aggregateType,
+            isNumericAggregate,
+            isDateAggregate
+        );
+        let containerClass = this.tileContainerClass;
+        if (thresholdRule) {
+            containerClass += ` st-rollup-tile_status-${thresholdRule.color}`;
+        }
+
+        // Trend vs prior period (comparison tiles only)
+        const trend = this.buildTrend(tile, aggregateType, isNumericAggregate, numberFormat);
+
         // hasRecordCount + summaryRecordLabel (now includes object name)
         let hasRecordCount = false;
         let summaryRecordLabel = null;
@@ -820,7 +2552,7 @@ export default class RollupTileGrid extends LightningElement {
         if (tile.recordCount !== undefined && tile.recordCount !== null) {
             hasRecordCount = true;
             const count = Number(tile.recordCount);
-            const objectLabel = this.childObjectLabelSingular || 'record';
+            const objectLabel = this.tileObjectLabel(tile);
 
             if (Number.isNaN(count)) {
                 const recordWord = 'records';
@@ -894,24 +2626,126 @@ export default class RollupTileGrid extends LightningElement {
             case 'CONCATENATE_DISTINCT':
                 friendlyAggregationLabel = 'Unique combined values';
                 break;
+            case 'MEDIAN':
+                friendlyAggregationLabel = 'Median';
+                break;
+            case 'PERCENTILE':
+                friendlyAggregationLabel = `${ordinal(
+                    tile.percentile === undefined || tile.percentile === null
+                        ? DEFAULT_PERCENTILE
+                        : tile.percentile
+                )} percentile`;
+                break;
+            case 'STDDEV':
+                friendlyAggregationLabel = 'Standard deviation';
+                break;
+            case 'WEIGHTED_AVERAGE':
+                friendlyAggregationLabel = 'Weighted average';
+                break;
             default:
                 friendlyAggregationLabel = 'Sum';
                 break;
         }
 
+        // FIRST/LAST with an explicit order by field, e.g. " (by Close Date)";
+        // breakdowns name their group-by field, e.g. " by Stage", and weighted
+        // averages their weight field.
+        let orderBySuffix =
+            (aggregateType === 'FIRST' || aggregateType === 'LAST') &&
+            tile.orderByFieldLabel
+                ? ` (by ${tile.orderByFieldLabel})`
+                : '';
+        if (tile.isBreakdown && tile.groupByFieldLabel) {
+            orderBySuffix = ` by ${tile.groupByFieldLabel}`;
+        }
+        if (aggregateType === 'WEIGHTED_AVERAGE' && tile.weightFieldLabel) {
+            orderBySuffix = ` (weighted by ${tile.weightFieldLabel})`;
+        }
+
+        // Breakdown bars / donut, once there are groups to show
+        const hasBreakdown =
+            !!tile.isBreakdown &&
+            !tile.isLoading &&
+            !tile.error &&
+            Array.isArray(tile.buckets) &&
+            tile.buckets.length > 0;
+        const breakdownRows = hasBreakdown
+            ? buildBreakdownRows(tile.buckets, (raw) =>
+                  raw === null || raw === undefined ? '-' : formatNumericValue(raw)
+              )
+            : [];
+
+        // Sparkline under the value (trend tiles)
+        const hasSparkline =
+            !!tile.trendDateFieldApiName &&
+            !tile.isLoading &&
+            !tile.error &&
+            Array.isArray(tile.series) &&
+            tile.series.length > 1;
+        const sparkline = hasSparkline
+            ? buildSparkline(tile.series, tile.seriesBucketSize, formatNumericValue)
+            : null;
+
+        // Failed tiles: short message (or full diagnostic) plus details
+        const errorView = tile.error ? buildErrorView(tile, !!HAS_ROLLUP_DIAGNOSTICS) : null;
+
+        // "As of" line: when the value was computed (or cached)
+        const computed =
+            tile.computedAt && !tile.isLoading && !tile.error
+                ? describeComputedAt(tile.computedAt, tile.isCached)
+                : null;
+
+        // Filter bar selections Apex skipped for this tile's object
+        const filterWarning = !tile.isLoading && !tile.error ? this.describeSkippedFilters(tile) : null;
+
         // summaryLabel (tooltip + text under value)
         let summaryLabel;
-        if (summaryRecordLabel) {
+        if (tile.isFormula) {
+            // Example: "Formula: Won Amount / Pipeline Amount * 100"
+            summaryLabel = tile.formulaNote || `Formula: ${this.describeFormula(tile)}`;
+        } else if (summaryRecordLabel) {
             // Example: "Sum of 'Aerial Footage' across 2 Project records"
-            summaryLabel = `${friendlyAggregationLabel} of '${fieldLabelForSummary}' across ${summaryRecordLabel}`;
+            summaryLabel = `${friendlyAggregationLabel} of '${fieldLabelForSummary}'${orderBySuffix} across ${summaryRecordLabel}`;
         } else {
             // No record count available
-            summaryLabel = `${friendlyAggregationLabel} of '${fieldLabelForSummary}'`;
+            summaryLabel = `${friendlyAggregationLabel} of '${fieldLabelForSummary}'${orderBySuffix}`;
+        }
+
+        // summaryTitle (tooltip): summary plus the tile's color rules
+        let summaryTitle = summaryLabel;
+        if (tile.isFormula && tile.formulaNote) {
+            summaryTitle += `\nFormula: ${this.describeFormula(tile)}`;
+        }
+        if (tile.thresholdRules && tile.thresholdRules.length) {
+            const ruleText = tile.thresholdRules
+                .map((rule) =>
+                    rule.operator
+                        ? `${capitalize(rule.color)} when ${rule.operator} ${rule.operandText}`
+                        : `${capitalize(rule.color)} otherwise`
+                )
+                .join('; ');
+            summaryTitle += `\nColor rules: ${ruleText}`;
+            if (thresholdRule) {
+                summaryTitle += `\nCurrent status: ${capitalize(thresholdRule.color)}`;
+            }
         }
 
+        // Value + summary open the drill-down once there are records to list
+        const canDrillDown =
+            !tile.isLoading && !tile.error && Number(tile.recordCount) > 0;
+        const drillableClass = canDrillDown ? ' st-rollup-tile__drillable' : '';
+
         // aggregationMenuOptions (gear dropdown)
         const aggregationMenuOptions = BASE_AGGREGATION_OPTIONS
             .filter((opt) => !allowedSet || allowedSet.has(opt.value))
+            .filter((opt) => !tile.isBreakdown || BREAKDOWN_TYPES.includes(opt.value))
+            // Weighted averages need the tile's weight field.
+            .filter(
+                (opt) =>
+                    opt.value !== 'WEIGHTED_AVERAGE' ||
+                    !!tile.weightFieldApiName ||
+                    aggregateType === 'WEIGHTED_AVERAGE'
+            )
             .map((opt) => {
                 const isSelected = opt.value === aggregateType;
                 return {
@@ -937,268 +2771,1502 @@ export default class RollupTileGrid extends LightningElement {
             aggregateType,
             fieldCategory,
             displayValue,
+            isNumericValue: isNumericAggregate,
+            aggregationLabel: tile.isFormula
+                ? 'Formula'
+                : `${friendlyAggregationLabel}${orderBySuffix}`,
             hasRecordCount,
+            hasSummary: hasRecordCount || tile.isFormula,
             summaryRecordLabel,
             summaryLabel,
+            summaryTitle,
+            containerClass,
+            canDrillDown,
+            valueClass: `st-rollup-tile__value slds-truncate${drillableClass}`,
+            summaryClass: `st-rollup-tile__summary slds-text-body_small slds-truncate${drillableClass}`,
+            drillDownRole: canDrillDown ? 'button' : null,
+            drillDownTabIndex: canDrillDown ? '0' : '-1',
+            ...trend,
+            hasFilterWarning: !!filterWarning,
+            filterWarningLabel: filterWarning,
+            hasBreakdown,
+            breakdownRows,
+            breakdownTitle: hasBreakdown
+                ? breakdownRows.map((row) => row.title).join(', ')
+                : null,
+            hasSparkline,
+            sparklinePoints: hasSparkline ? sparkline.points : null,
+            sparklineColumns: hasSparkline ? sparkline.columns : [],
+            sparklineLabel: hasSparkline
+                ? sparkline.columns.map((column) => column.title).join(', ')
+                : null,
+            hasComputedAt: !!computed,
+            computedAtLabel: computed ? computed.label : null,
+            computedAtTitle: computed ? computed.title : null,
+            errorText: errorView ? errorView.message : null,
+            errorClass: errorView ? errorView.className : 'st-rollup-tile__error',
+            errorIconName: errorView ? errorView.iconName : null,
+            errorIconVariant: errorView ? errorView.iconVariant : null,
+            errorSeverityLabel: errorView ? errorView.severityLabel : null,
+            errorDetails: errorView ? errorView.details : [],
+            errorToggleLabel: tile.isErrorExpanded ? 'Hide details' : 'Show details',
+            errorExpandedAria: tile.isErrorExpanded ? 'true' : 'false',
             aggregationMenuOptions,
             gearMenuClass
         };
     }
 
-    // ------------- Refresh / loading -------------
-
-    handleRefreshAllClick() {
-        // Clicking Refresh on one grid should refresh all grids on the same page.
-        if (typeof window !== 'undefined') {
-            const evt = new CustomEvent('st_rollup_tile_grid_refresh', {
-                bubbles: false,
-                composed: false,
-                detail: {
-                    sourceRecordId: this.recordId || null
-                }
-            });
-            window.dispatchEvent(evt);
-        } else {
-            // Fallback – just refresh this grid.
-            this.refreshAllTiles();
+    /**
+     * The color rule that applies to the tile's current value, if any.
+     * Numeric aggregates (number, currency, percent) compare as numbers;
+     * date aggregates compare by calendar day in the user's time zone.
+     */
+    findThresholdRule(tile, aggregateType, isNumericAggregate, isDateAggregate) {
+        if (!tile.thresholdRules || !tile.thresholdRules.length || tile.error || tile.isLoading) {
+            return null;
         }
-    }
 
-    refreshAllTiles() {
-        this.tiles.forEach((tile) => {
-            this.loadTile(tile.index);
-        });
+        const isEmpty = tile.value === null || tile.value === undefined || tile.value === '';
+        let value = null;
+        if (isNumericAggregate) {
+            let num = isEmpty ? NaN : parseFloat(tile.value);
+            if (isEmpty && ZERO_WHEN_EMPTY_TYPES.includes(aggregateType)) {
+                num = 0;
+            }
+            value = isNaN(num) ? null : { kind: 'number', value: num };
+        } else if (isDateAggregate && !isEmpty) {
+            const parsed =
+                tile.dateType === 'datetime'
+                    ? new Date(tile.value)
+                    : new Date(`${tile.value}T00:00:00Z`);
+            if (!isNaN(parsed.getTime())) {
+                value = {
+                    kind: 'date',
+                    value:
+                        tile.dateType === 'datetime'
+                            ? calendarDayInUserTimeZone(parsed)
+                            : parsed.getTime()
+                };
+            }
+        }
+        return findMatchingThresholdRule(tile.thresholdRules, value);
     }
 
-    async loadTile(index) {
-        const globalConfigError = this.globalConfigError;
-        if (globalConfigError) {
-            // If the shared config is bad, set an error on this tile and bail.
-            this.tiles = this.tiles.map((tile) =>
-                tile.index === index
-                    ? this.recomputeTileDerivedFields({
-                          ...tile,
-                          isLoading: false,
-                          error: globalConfigError,
-                          value: null,
-                          recordCount: null,
-                          isCurrency: false,
-                          isPercent: false,
-                          isDate: false,
-                          fieldLabel: null
-                      })
-                    : tile
-            );
-            return;
+    /**
+     * Trend line for a comparison tile: "+$1,200 (+12.5%) vs last quarter".
+     * The percentage is left out when the prior value is zero, and the line
+     * carries Apex's comparisonWarning instead when the prior period failed.
+     */
+    buildTrend(tile, aggregateType, isNumericAggregate, numberFormat) {
+        const noTrend = {
+            hasTrend: false,
+            trendLabel: null,
+            trendTitle: null,
+            trendClass: null,
+            trendIconName: null
+        };
+        if (!tile.comparisonPeriod || !tile.periodStart || !isNumericAggregate) {
+            return noTrend;
+        }
+        if (tile.comparisonWarning) {
+            return {
+                hasTrend: true,
+                trendLabel: tile.comparisonWarning,
+                trendTitle: tile.comparisonWarning,
+                trendClass:
+                    'st-rollup-tile__trend st-rollup-tile__trend_unavailable slds-text-body_small slds-truncate',
+                trendIconName: 'utility:warning'
+            };
         }
 
-        const currentTile = this.tiles.find((t) => t.index === index);
-        if (!currentTile) {
-            return;
+        const toNumber = (raw) => {
+            if (raw === null || raw === undefined || raw === '') {
+                return ZERO_WHEN_EMPTY_TYPES.includes(aggregateType) ? 0 : null;
+            }
+            const num = parseFloat(raw);
+            return isNaN(num) ? null : num;
+        };
+        const current = toNumber(tile.value);
+        const prior = toNumber(tile.priorValue);
+        if (current === null || prior === null) {
+            return noTrend;
         }
 
-        const currentAggregateType =
-            this.normalizeAggregationType(
-                currentTile.aggregateType || currentTile.initialAggregationType
-            ) || 'SUM';
+        const delta = current - prior;
+        const periodText = describePriorPeriod(tile.comparisonPeriod);
 
-        // COUNT does not require an aggregate field; all other aggregation
-        // types do.
-        if (!currentTile.aggregateFieldApiName && currentAggregateType !== 'COUNT') {
-            const configMsg = `Tile ${index} is not fully configured. Set "Tile ${index} Aggregate Field" in the Lightning App Builder.`;
-            this.tiles = this.tiles.map((tile) =>
-                tile.index === index
-                    ? this.recomputeTileDerivedFields({
-                          ...tile,
-                          isLoading: false,
-                          error: configMsg,
-                          value: null,
-                          recordCount: null,
-                          isCurrency: false,
-                          isPercent: false,
-                          isDate: false,
-                          fieldLabel: null
-                      })
-                    : tile
-            );
-            return;
+        let trendLabel;
+        try {
+            if (delta === 0) {
+                trendLabel = `No change ${periodText}`;
+            } else {
+                let change = formatTileNumber(delta, { ...numberFormat, signed: true });
+                if (prior !== 0) {
+                    const pct = new Intl.NumberFormat(LOCALE, {
+                        style: 'percent',
+                        maximumFractionDigits: 1,
+                        signDisplay: 'exceptZero'
+                    }).format(delta / Math.abs(prior));
+                    change += ` (${pct})`;
+                }
+                trendLabel = `${change} ${periodText}`;
+            }
+        } catch (_e) {
+            trendLabel = `${delta} ${periodText}`;
         }
 
-        // Clear any previous timeout for this tile.
-        const existingTimeout = this._tileTimeouts[index];
-        if (existingTimeout) {
-            clearTimeout(existingTimeout);
-            delete this._tileTimeouts[index];
+        const formatRange = (start, end) =>
+            `${formatDateValue(start, 'date', 'medium')} – ${formatDateValue(end, 'date', 'medium')}`;
+        let priorDisplay;
+        try {
+            priorDisplay = formatTileNumber(prior, numberFormat);
+        } catch (_e) {
+            priorDisplay = String(prior);
         }
 
-        // Reset tile state to "loading"
-        this.tiles = this.tiles.map((tile) =>
-            tile.index === index
-                ? this.recomputeTileDerivedFields({
-                      ...tile,
-                      isLoading: true,
-                      error: null,
-                      value: null,
-                      recordCount: null,
-                      isCurrency: false,
-                      isPercent: false,
-                      isDate: false,
-                      fieldLabel: null
-                  })
-                : tile
-        );
+        let trendClass = 'st-rollup-tile__trend slds-text-body_small slds-truncate';
+        if (delta > 0) {
+            trendClass += ' st-rollup-tile__trend_up';
+        } else if (delta < 0) {
+            trendClass += ' st-rollup-tile__trend_down';
+        }
 
-        const timeoutError = new Error(
-            'Timed out while loading rollup. Please refresh the page or contact your admin.'
-        );
+        return {
+            hasTrend: true,
+            trendLabel,
+            trendTitle:
+                `${formatRange(tile.periodStart, tile.periodEnd)} ${periodText}: ` +
+                `${formatRange(tile.priorPeriodStart, tile.priorPeriodEnd)} (${priorDisplay})`,
+            trendClass,
+            trendIconName:
+                delta > 0 ? 'utility:arrowup' : delta < 0 ? 'utility:arrowdown' : null
+        };
+    }
 
-        const timeoutPromise = new Promise((_, reject) => {
-            const id = setTimeout(() => {
-                reject(timeoutError);
-            }, LOAD_TIMEOUT_MS);
-            this._tileTimeouts[index] = id;
-        });
+    // ------------- Filter bar -------------
+
+    get filterBarFieldNames() {
+        return (this.gridSetting('filterBarFields') || '')
+            .split(',')
+            .map((name) => name.trim())
+            .filter((name) => name);
+    }
+
+    get hasFilterBar() {
+        return this._filterBarFields.some((field) => !filterBarFieldError(field));
+    }
+
+    /**
+     * Filter bar comboboxes: each field's choices, led by an "Any" choice
+     * that clears the selection.
+     */
+    get filterBarView() {
+        return this._filterBarFields
+            .filter((field) => !filterBarFieldError(field))
+            .map((field) => {
+                const selection = this._filterSelections[field.fieldApiName];
+                return {
+                    fieldApiName: field.fieldApiName,
+                    label: field.label,
+                    value: selection ? selection.value : '',
+                    options: [
+                        { label: `Any ${field.label}`, value: '' },
+                        ...field.options.map((option) => ({
+                            label: option.label,
+                            value: option.value
+                        }))
+                    ]
+                };
+            });
+    }
+
+    get filterBarError() {
+        const messages = this._filterBarFields.map(filterBarFieldError).filter(Boolean);
+        return messages.length ? [...new Set(messages)].join(' ') : null;
+    }
+
+    /**
+     * RollupService.RollupRequest.runtimeFilters for the current
+     * selections, or null when nothing is selected.
+     */
+    get runtimeFilters() {
+        const criteria = Object.keys(this._filterSelections).map((fieldApiName) => ({
+            field: fieldApiName,
+            operator: this._filterSelections[fieldApiName].operator,
+            value: this._filterSelections[fieldApiName].value
+        }));
+        return criteria.length ? JSON.stringify(criteria) : null;
+    }
+
+    /**
+     * localStorage key for this user's selections on this page: the page
+     * path without the record Id (so every record of the page shares
+     * them) plus the configured fields.
+     */
+    get filterSelectionsStorageKey() {
+        const recordIds = [this.recordId, (this.recordId || '').slice(0, 15)];
+        const pagePath =
+            typeof window !== 'undefined' && window.location
+                ? window.location.pathname
+                      .split('/')
+                      .filter((segment) => !recordIds.includes(segment))
+                      .join('/')
+                : '';
+        return `rollupTileGrid.filters:${USER_ID}:${pagePath}:${this.filterBarFieldNames.join(',')}`;
+    }
+
+    /**
+     * Restore the saved selections (so the first load already applies
+     * them), then fetch the fields and their choices.
+     */
+    async loadFilterBar() {
+        const fieldNames = this.filterBarFieldNames;
+        if (!fieldNames.length) {
+            return;
+        }
 
         try {
-            const tileAfterReset = this.tiles.find((t) => t.index === index);
-            if (!tileAfterReset) {
-                return;
+            const saved = JSON.parse(window.localStorage.getItem(this.filterSelectionsStorageKey));
+            const configured = fieldNames.map((name) => normalizeApiNameValue(name).toLowerCase());
+            const selections = {};
+            Object.keys(saved || {}).forEach((fieldApiName) => {
+                const selection = saved[fieldApiName];
+                if (
+                    configured.includes(fieldApiName.toLowerCase()) &&
+                    selection &&
+                    selection.operator &&
+                    selection.value
+                ) {
+                    selections[fieldApiName] = {
+                        operator: selection.operator,
+                        value: selection.value
+                    };
+                }
+            });
+            this._filterSelections = selections;
+        } catch (_e) {
+            // Storage unavailable or unreadable: start without selections.
+            this._filterSelections = {};
+        }
+
+        // One request per distinct path, so fields are found on whichever
+        // object the tiles roll up from.
+        const requests = new Map();
+        this.tiles
+            .filter((tile) => !tile.isFormula && !tile.configError)
+            .map((tile) => this.tilePath(tile))
+            .filter((path) => !path.missing.length && path.steps.length)
+            .forEach((path) => {
+                const request = this.buildRelationshipRequest(path, path.steps.length - 1);
+                requests.set(request.relationshipPath, request);
+            });
+
+        let fields;
+        try {
+            fields = await getFilterBarFields({
+                parentId: this.recordId,
+                requests: [...requests.values()],
+                fieldApiNames: fieldNames.join(',')
+            });
+        } catch (error) {
+            fields = [
+                {
+                    errorMessage: reduceErrorMessage(
+                        error,
+                        'Unexpected error while loading the filter bar.'
+                    )
+                }
+            ];
+        }
+        this._filterBarFields = (fields || []).map((field) => ({
+            ...field,
+            options: field.options || []
+        }));
+
+        // Drop saved selections that no longer match a choice (a removed
+        // picklist value, a field that changed type) and reload without them.
+        const selections = {};
+        this._filterBarFields.forEach((field) => {
+            const saved = Object.keys(this._filterSelections).find(
+                (name) => name.toLowerCase() === (field.fieldApiName || '').toLowerCase()
+            );
+            const selection = saved && this._filterSelections[saved];
+            if (
+                selection &&
+                !filterBarFieldError(field) &&
+                selection.operator === field.operator &&
+                field.options.some((option) => option.value === selection.value)
+            ) {
+                selections[field.fieldApiName] = selection;
             }
+        });
+        const changed =
+            Object.keys(selections).length !== Object.keys(this._filterSelections).length;
+        this._filterSelections = selections;
+        if (changed) {
+            this.saveFilterSelections();
+            this.refreshAllTiles();
+        }
+    }
 
-            let aggregateTypeToUse =
-                this.normalizeAggregationType(
-                    tileAfterReset.aggregateType ||
-                        tileAfterReset.initialAggregationType ||
-                        'SUM'
-                ) || 'SUM';
+    saveFilterSelections() {
+        try {
+            window.localStorage.setItem(
+                this.filterSelectionsStorageKey,
+                JSON.stringify(this._filterSelections)
+            );
+        } catch (_e) {
+            // Storage unavailable: selections just last for this visit.
+        }
+    }
 
-            // NOTE: we now pass 'COUNT' straight through to Apex so it can
-            // execute a true COUNT() branch instead of behaving like SUM.
+    handleFilterBarChange(event) {
+        const fieldApiName = event.target.dataset.field;
+        const field = this._filterBarFields.find((f) => f.fieldApiName === fieldApiName);
+        const value = event.detail.value;
+        const selections = { ...this._filterSelections };
+        if (field && value) {
+            selections[fieldApiName] = { operator: field.operator, value };
+        } else {
+            delete selections[fieldApiName];
+        }
+        this._filterSelections = selections;
+        this.saveFilterSelections();
+        this.refreshAllTiles();
+    }
 
-            const apexPromise = getRollup({
-                parentId: this.recordId,
-                childObjectApiName: this.childObjectApiName,
-                relationshipFieldApiName: this.relationshipFieldApiName,
-                aggregateFieldApiName: tileAfterReset.aggregateFieldApiName,
-                aggregateType: aggregateTypeToUse,
-                filterCondition: tileAfterReset.filterCondition,
-                grandchildObjectApiName: this.isGrandchildMode
-                    ? this.grandchildObjectApiName
-                    : null,
-                grandchildRelationshipFieldApiName: this.isGrandchildMode
-                    ? this.grandchildRelationshipFieldApiName
-                    : null
+    // ------------- Refresh / loading -------------
+
+    async handleRefreshAllClick() {
+        // Refresh recomputes: drop the user's cached results first. They are
+        // shared by every grid, so this happens once, here, whether or not
+        // this grid caches.
+        try {
+            await clearCachedRollups();
+        } catch (error) {
+            // eslint-disable-next-line no-console
+            console.error('RollupTileGrid clearCachedRollups error', error);
+        }
+
+        // Clicking Refresh on one grid should refresh all grids on the same page.
+        if (typeof window !== 'undefined') {
+            const evt = new CustomEvent('st_rollup_tile_grid_refresh', {
+                bubbles: false,
+                composed: false,
+                detail: {
+                    sourceRecordId: this.recordId || null
+                }
             });
+            window.dispatchEvent(evt);
+        } else {
+            // Fallback – just refresh this grid.
+            this.refreshAllTiles({ bypassCache: true });
+        }
+    }
 
-            const data = await Promise.race([apexPromise, timeoutPromise]);
-
-            if (!data) {
-                // No data returned
-                this.tiles = this.tiles.map((tile) =>
-                    tile.index === index
-                        ? this.recomputeTileDerivedFields({
-                              ...tile,
-                              isLoading: false,
-                              error: 'No data was returned for this rollup.',
-                              value: null,
-                              recordCount: null,
-                              isCurrency: false,
-                              isPercent: false,
-                              isDate: false,
-                              fieldLabel: null
-                          })
-                        : tile
-                );
-                return;
+    // ------------- Export -------------
+
+    handleExportSelect(event) {
+        if (event.detail.value === 'csv') {
+            this.downloadCsv();
+        } else if (event.detail.value === 'clipboard') {
+            this.copyToClipboard();
+        }
+    }
+
+    downloadCsv() {
+        // The byte order mark makes Excel read the file as UTF-8.
+        const csv = `\ufeff${toCsv(buildExportRows(this.tiles))}`;
+        const link = document.createElement('a');
+        link.href = `data:text/csv;charset=utf-8,${encodeURIComponent(csv)}`;
+        link.download = this.exportFileName();
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    async copyToClipboard() {
+        try {
+            await navigator.clipboard.writeText(toTsv(buildExportRows(this.tiles)));
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: 'Tile values copied to the clipboard',
+                    variant: 'success'
+                })
+            );
+        } catch (e) {
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Couldn't copy the tile values",
+                    message: 'Your browser blocked clipboard access. Use Download CSV instead.',
+                    variant: 'error'
+                })
+            );
+        }
+    }
+
+    /**
+     * "Pipeline-Summary-2024-05-31.csv": the header text (or "rollups")
+     * and today's date in the user's time zone.
+     */
+    exportFileName() {
+        const name = (this.headerTextEffective || '')
+            .toString()
+            .trim()
+            .replace(/[^\p{L}\p{N}_-]+/gu, '-')
+            .replace(/^-+|-+$/g, '');
+        const today = new Date(calendarDayInUserTimeZone(new Date())).toISOString().slice(0, 10);
+        return `${name || 'rollups'}-${today}.csv`;
+    }
+
+    refreshAllTiles(options) {
+        this.loadTiles(this.tiles.map((tile) => tile.index), options);
+    }
+
+    loadTile(index) {
+        return this.loadTiles([index]);
+    }
+
+    /**
+     * Apply per-tile field changes and recompute derived view fields.
+     * `changesByIndex` is a Map of tile index -> fields to merge in.
+     * Formula tiles are re-evaluated afterwards.
+     */
+    updateTiles(changesByIndex) {
+        if (!changesByIndex.size) {
+            return;
+        }
+        this.tiles = this.tiles.map((tile) => {
+            const changes = changesByIndex.get(tile.index);
+            return changes
+                ? this.recomputeTileDerivedFields({ ...tile, ...changes })
+                : tile;
+        });
+        this.applyFormulas();
+    }
+
+    /**
+     * Recompute every formula tile from the current state of the tiles it
+     * refers to. Formulas may use other formula tiles; a loop between them
+     * is reported on the tiles involved.
+     */
+    applyFormulas() {
+        if (!this.tiles.some((tile) => tile.isFormula)) {
+            return;
+        }
+
+        const tilesByIndex = new Map(this.tiles.map((tile) => [tile.index, tile]));
+        const results = new Map();
+        const visiting = new Set();
+        const evaluate = (tile) => {
+            if (results.has(tile.index)) {
+                return results.get(tile.index);
             }
+            let result;
+            if (visiting.has(tile.index)) {
+                result = {
+                    ...EMPTY_TILE_RESULT,
+                    error: 'Formula tiles refer to each other in a loop.'
+                };
+            } else {
+                visiting.add(tile.index);
+                result = this.evaluateFormulaTile(tile, (index) => {
+                    const dependency = tilesByIndex.get(index);
+                    return dependency.isFormula
+                        ? { ...dependency, ...evaluate(dependency) }
+                        : dependency;
+                });
+                visiting.delete(tile.index);
+            }
+            results.set(tile.index, result);
+            return result;
+        };
+        this.tiles.filter((tile) => tile.isFormula).forEach(evaluate);
+
+        this.tiles = this.tiles.map((tile) =>
+            results.has(tile.index)
+                ? this.recomputeTileDerivedFields({ ...tile, ...results.get(tile.index) })
+                : tile
+        );
+    }
+
+    /**
+     * Result fields for one formula tile. It shows a spinner while any tile
+     * it uses is loading and an error when one of them failed or does not
+     * hold a number; an empty operand or a division by zero leaves it
+     * blank with a note instead. `dependencyAt(index)` returns the
+     * (evaluated) tile at that index.
+     */
+    evaluateFormulaTile(tile, dependencyAt) {
+        if (tile.configError) {
+            return { ...EMPTY_TILE_RESULT, error: tile.configError, errorCode: tile.configErrorCode };
+        }
+        if (tile.formulaError) {
+            return {
+                ...EMPTY_TILE_RESULT,
+                error: `${tile.formulaError} Check ${this.describeTileSetting(tile, 'formula', 'Formula')}.`
+            };
+        }
 
-            let errorMsg = null;
-            let value = null;
-            let recordCount = null;
-            let isCurrency = false;
-            let isPercent = false;
-            let isDate = false;
-            let fieldLabel = null;
-
-            if (data.errorMessage) {
-                // Business / configuration error from Apex – show it in the tile.
-                errorMsg = data.errorMessage;
-                value = undefined;
-                recordCount = data.recordCount;
-                isCurrency = !!data.isCurrency;
-                isPercent = !!data.isPercent;
-                isDate = !!data.isDate;
-                fieldLabel = data.fieldLabel;
+        const values = {};
+        let isLoading = false;
+        let currencyIsoCode = null;
+        for (const [name, index] of Object.entries(tile.formulaDependencies)) {
+            const dependency = dependencyAt(index);
+            if (dependency.isLoading) {
+                isLoading = true;
+            } else if (dependency.error) {
+                return {
+                    ...EMPTY_TILE_RESULT,
+                    error: `"${dependency.label}" could not be loaded: ${dependency.error}`,
+                    errorCode: dependency.errorCode,
+                    errorField: dependency.errorField,
+                    errorSeverity: dependency.errorSeverity,
+                    errorUserMessage: dependency.errorUserMessage
+                };
             } else {
-                errorMsg = null;
-                value = data.value;
-                recordCount = data.recordCount;
-                isCurrency = !!data.isCurrency;
-                isPercent = !!data.isPercent;
-                isDate = !!data.isDate;
-                fieldLabel = data.fieldLabel;
+                const operand = this.formulaOperand(dependency);
+                if (operand.error) {
+                    return { ...EMPTY_TILE_RESULT, error: operand.error };
+                }
+                values[name] = operand.value;
+                if (!currencyIsoCode && dependency.isCurrency) {
+                    currencyIsoCode = dependency.currencyIsoCode;
+                }
             }
+        }
+        if (isLoading) {
+            return { ...EMPTY_TILE_RESULT, isLoading: true };
+        }
 
-            this.tiles = this.tiles.map((tile) =>
-                tile.index === index
-                    ? this.recomputeTileDerivedFields({
-                          ...tile,
-                          isLoading: false,
-                          error: errorMsg,
-                          value,
-                          recordCount,
-                          isCurrency,
-                          isPercent,
-                          isDate,
-                          fieldLabel
-                      })
-                    : tile
+        const result = {
+            ...EMPTY_TILE_RESULT,
+            isCurrency: tile.formulaFormat === 'currency',
+            isPercent: tile.formulaFormat === 'percent',
+            currencyIsoCode: tile.formulaFormat === 'currency' ? currencyIsoCode : null,
+            formulaNote: null
+        };
+        if (Object.values(values).some((value) => value === null)) {
+            return {
+                ...result,
+                formulaNote: 'No value yet: a tile in this formula is empty.'
+            };
+        }
+        const value = evaluateFormula(tile.formulaAst, (name) => values[name]);
+        if (!Number.isFinite(value)) {
+            return { ...result, formulaNote: 'No value: the formula divides by zero.' };
+        }
+        return { ...result, value };
+    }
+
+    /**
+     * A tile's value as a formula operand: { value } (null when the tile is
+     * empty) or { error } when it does not hold a number.
+     */
+    formulaOperand(tile) {
+        const aggregateType = tile.aggregateType;
+        const isNumeric =
+            tile.isFormula ||
+            ((NUMERIC_TYPES.includes(aggregateType) ||
+                (tile.isCurrency && !COUNT_TYPES.includes(aggregateType))) &&
+                !(tile.isDate && DATE_VALUE_TYPES.includes(aggregateType)));
+        if (!isNumeric) {
+            return {
+                error: `"${tile.label}" is not a number, so it cannot be used in a formula.`
+            };
+        }
+        if (tile.value === null || tile.value === undefined || tile.value === '') {
+            return {
+                value: !tile.isFormula && ZERO_WHEN_EMPTY_TYPES.includes(aggregateType) ? 0 : null
+            };
+        }
+        const num = parseFloat(tile.value);
+        return { value: isNaN(num) ? null : num };
+    }
+
+    clearTileTimeout(index) {
+        const existingTimeout = this._tileTimeouts[index];
+        if (existingTimeout) {
+            clearTimeout(existingTimeout);
+            delete this._tileTimeouts[index];
+        }
+    }
+
+    isComparable(tile, aggregateType) {
+        return (
+            !!tile.comparisonPeriod &&
+            COMPARABLE_TYPES.includes(aggregateType) &&
+            !(tile.isDate && DATE_VALUE_TYPES.includes(aggregateType))
+        );
+    }
+
+    hasSparklineSeries(tile, aggregateType) {
+        return (
+            !!tile.trendDateFieldApiName &&
+            SPARKLINE_TYPES.includes(aggregateType) &&
+            !(tile.isDate && DATE_VALUE_TYPES.includes(aggregateType))
+        );
+    }
+
+    /**
+     * Build the RollupService.RollupRequest payload for a tile.
+     */
+    buildRollupRequest(tile, aggregateType) {
+        const path = this.tilePath(tile);
+        return {
+            key: String(tile.index),
+            childObjectApiName: path.childObjectApiName,
+            relationshipFieldApiName: path.relationshipFieldApiName,
+            aggregateFieldApiName: tile.aggregateFieldApiName,
+            // COUNT is passed straight through so Apex can execute a true
+            // COUNT() branch instead of behaving like SUM.
+            aggregateType,
+            // Only FIRST/LAST use it; Apex ignores it for other aggregations.
+            orderByFieldApiName: tile.orderByFieldApiName,
+            // Only PERCENTILE / WEIGHTED_AVERAGE use these.
+            percentile: tile.percentile,
+            weightFieldApiName: tile.weightFieldApiName,
+            filterCondition: tile.filterCondition,
+            filterCriteria: tile.filterCriteria,
+            // Only sent for aggregations that can be compared; switching a
+            // comparison tile to e.g. Concatenate shows the plain value.
+            comparisonPeriod: this.isComparable(tile, aggregateType)
+                ? tile.comparisonPeriod
+                : null,
+            comparisonDateFieldApiName: this.isComparable(tile, aggregateType)
+                ? tile.comparisonDateFieldApiName
+                : null,
+            groupByFieldApiName: tile.groupByFieldApiName,
+            breakdownLimit: tile.breakdownLimit,
+            // Like the comparison, only sent for aggregations with a series.
+            trendDateFieldApiName: this.hasSparklineSeries(tile, aggregateType)
+                ? tile.trendDateFieldApiName
+                : null,
+            trendBucketSize: tile.trendBucketSize,
+            grandchildObjectApiName: path.grandchildObjectApiName,
+            grandchildRelationshipFieldApiName: path.grandchildRelationshipFieldApiName,
+            relationshipPath: path.relationshipPath,
+            parentSource: this.parentSourceEffective,
+            currencyMode: this.currencyModeForApex,
+            runtimeFilters: this.runtimeFilters,
+            resultCache: this.resultCacheForApex,
+            resultCacheTtlMinutes: this.resultCacheTtlMinutesForApex
+        };
+    }
+
+    tileAggregationType(tile) {
+        return (
+            this.normalizeAggregationType(tile.aggregateType || tile.initialAggregationType) ||
+            'SUM'
+        );
+    }
+
+    /**
+     * Why a tile cannot be queried as configured (shown in the tile), or
+     * null. Formula tiles are never queried; applyFormulas fills them in
+     * from the tiles they use.
+     */
+    tileLoadError(tile) {
+        if (tile.configError) {
+            return tile.configError;
+        }
+        if (tile.isFormula) {
+            return null;
+        }
+
+        const missingPathSetting = this.tilePath(tile).missing[0];
+        if (missingPathSetting) {
+            return `Tile ${tile.index} is not fully configured. Set ${this.describeTileSetting(tile, missingPathSetting.key, missingPathSetting.label)} in the Lightning App Builder.`;
+        }
+
+        // COUNT does not require an aggregate field; all other aggregation
+        // types do.
+        if (!tile.aggregateFieldApiName && this.tileAggregationType(tile) !== 'COUNT') {
+            return `Tile ${tile.index} is not fully configured. Set ${this.describeTileSetting(tile, 'aggregateFieldApiName', 'Aggregate Field')} in the Lightning App Builder.`;
+        }
+
+        if (tile.thresholdRulesError) {
+            return `${tile.thresholdRulesError} Check ${this.describeTileSetting(tile, 'thresholdRules', 'Color Rules')} in the Lightning App Builder.`;
+        }
+        return null;
+    }
+
+    /**
+     * Show the given tiles as loading and load them with one call. Loading
+     * every tile that queries goes through the getCachedRollups wire, so a
+     * record opened again fills from the client cache; loading some of them
+     * (an aggregation switch, an auto refresh) only sends their requests,
+     * to getCachedRollups, so an aggregation switched back is instant, or
+     * to getRollups when `bypassCache` is set. `refreshResultCache` also
+     * skips the server's result cache, so those tiles are always
+     * recomputed, through getRollups. Every tile still receives its own
+     * result (or error), so one misconfigured tile does not blank out the
+     * rest of the grid.
+     */
+    loadTiles(indexes, { bypassCache = false, refreshResultCache = false } = {}) {
+        const globalConfigError = this.globalConfigError;
+        if (globalConfigError) {
+            // If the shared config is bad, set an error on each tile and bail.
+            const configChanges = new Map();
+            indexes.forEach((index) => {
+                configChanges.set(index, {
+                    ...EMPTY_TILE_RESULT,
+                    error: globalConfigError
+                });
+            });
+            this.updateTiles(configChanges);
+            return;
+        }
+
+        const changes = new Map();
+        const loadingIndexes = [];
+        indexes.forEach((index) => {
+            const tile = this.tiles.find((t) => t.index === index);
+            if (!tile) {
+                return;
+            }
+            const loadError = this.tileLoadError(tile);
+            if (loadError) {
+                changes.set(index, {
+                    ...EMPTY_TILE_RESULT,
+                    error: loadError,
+                    errorCode: tile.configError ? tile.configErrorCode : null
+                });
+            } else if (tile.isFormula) {
+                changes.set(index, {});
+            } else {
+                changes.set(index, { ...EMPTY_TILE_RESULT, isLoading: true });
+                loadingIndexes.push(index);
+            }
+        });
+        this.updateTiles(changes);
+
+        if (!loadingIndexes.length) {
+            return;
+        }
+        this.startLoadTimeout(loadingIndexes);
+
+        // Stamp the tiles so an older, slower response can never overwrite
+        // the result of a newer load (e.g. a quick aggregation switch).
+        const requestIds = {};
+        loadingIndexes.forEach((index) => {
+            this._requestSequence += 1;
+            this._tileRequestIds[index] = this._requestSequence;
+            requestIds[index] = this._requestSequence;
+        });
+
+        const requests = this.tiles
+            .filter((tile) => requestIds[tile.index])
+            .map((tile) => this.buildRollupRequest(tile, this.tileAggregationType(tile)));
+        if (refreshResultCache) {
+            requests.forEach((request) => {
+                request.refreshResultCache = true;
+            });
+        }
+        const isWholeGrid = this.tiles.every(
+            (tile) => requestIds[tile.index] || tile.isFormula || this.tileLoadError(tile)
+        );
+
+        if (refreshResultCache) {
+            this.loadRollups(requests, requestIds, true);
+        } else if (isWholeGrid) {
+            this.loadWiredRollups(requests, requestIds, bypassCache);
+        } else {
+            this.loadRollups(requests, requestIds, bypassCache);
+        }
+    }
+
+    /**
+     * Load the whole grid through the getCachedRollups wire: requests it
+     * has not seen are provisioned (from the cache if it can), the current
+     * ones are applied again or, with `bypassCache`, refreshed.
+     */
+    loadWiredRollups(requests, requestIds, bypassCache) {
+        this._wiredRequestIds = requestIds;
+        const requestsJson = JSON.stringify(requests);
+
+        if (
+            this.wiredParentId !== this.recordId ||
+            this._wiredRollupRequestsJson !== requestsJson
+        ) {
+            // New requests: the wire provisions them, from the cache if it can.
+            this._refreshWhenProvisioned = bypassCache;
+            this._wiredRollupRequestsJson = requestsJson;
+            this.wiredParentId = this.recordId;
+            this.wiredRollupRequests = requests;
+            return;
+        }
+
+        const wired = this._wiredRollups;
+        if (!wired || (wired.data === undefined && wired.error === undefined)) {
+            // Still being provisioned; handleWiredRollups applies it.
+            this._refreshWhenProvisioned = this._refreshWhenProvisioned || bypassCache;
+        } else if (bypassCache) {
+            this.refreshWiredRollups();
+        } else {
+            this.applyRollupResponse(this.wiredRollupRequests, requestIds, wired.data, wired.error);
+        }
+    }
+
+    /**
+     * Load some of the tiles: from the client cache through
+     * getCachedRollups, or from the server through getRollups when
+     * `bypassCache` is set.
+     */
+    async loadRollups(requests, requestIds, bypassCache) {
+        const params = { parentId: this.recordId, requests };
+        try {
+            const data = await (bypassCache ? getRollups(params) : getCachedRollups(params));
+            this.applyRollupResponse(requests, requestIds, data);
+        } catch (error) {
+            this.applyRollupResponse(requests, requestIds, undefined, error);
+        }
+    }
+
+    @wire(getCachedRollups, { parentId: '$wiredParentId', requests: '$wiredRollupRequests' })
+    handleWiredRollups(response) {
+        this._wiredRollups = response;
+        const { data, error } = response;
+        if (data === undefined && error === undefined) {
+            return;
+        }
+        if (this._refreshWhenProvisioned) {
+            this._refreshWhenProvisioned = false;
+            this.refreshWiredRollups();
+            return;
+        }
+        this.applyRollupResponse(this.wiredRollupRequests, this._wiredRequestIds, data, error);
+    }
+
+    /**
+     * Re-run the wired getCachedRollups on the server, replacing its cached
+     * value. The wire only provisions again when the results changed, so
+     * the (possibly unchanged) value is applied here once it's back.
+     */
+    async refreshWiredRollups() {
+        try {
+            await refreshApex(this._wiredRollups);
+            this.applyRollupResponse(
+                this.wiredRollupRequests,
+                this._wiredRequestIds,
+                this._wiredRollups.data,
+                this._wiredRollups.error
             );
         } catch (error) {
+            this.applyRollupResponse(
+                this.wiredRollupRequests,
+                this._wiredRequestIds,
+                undefined,
+                error
+            );
+        }
+    }
+
+    /**
+     * Fail tiles that are still loading after LOAD_TIMEOUT_MS, so we never
+     * spin forever on a bad call.
+     */
+    startLoadTimeout(indexes) {
+        const id = setTimeout(() => {
+            const timeoutChanges = new Map();
+            indexes.forEach((index) => {
+                if (this._tileTimeouts[index] === id) {
+                    delete this._tileTimeouts[index];
+                    timeoutChanges.set(index, {
+                        ...EMPTY_TILE_RESULT,
+                        error: 'Timed out while loading rollup. Please refresh the page or contact your admin.',
+                        errorCode: 'TIMEOUT',
+                        errorSeverity: 'WARNING'
+                    });
+                }
+            });
+            this.updateTiles(timeoutChanges);
+        }, LOAD_TIMEOUT_MS);
+        indexes.forEach((index) => {
+            this._tileTimeouts[index] = id;
+        });
+    }
+
+    /**
+     * Copy getRollups / getCachedRollups results (or the call's error) onto
+     * the tiles they were requested for, unless a tile has been reloaded
+     * since (`requestIds` are the ids the requests were stamped with).
+     */
+    applyRollupResponse(requests, requestIds, data, error) {
+        const requestedIndexes = (requests || [])
+            .map((request) => Number(request.key))
+            .filter((index) => this._tileRequestIds[index] === requestIds[index]);
+        requestedIndexes.forEach((index) => this.clearTileTimeout(index));
+
+        if (error) {
             // eslint-disable-next-line no-console
-            console.error('RollupTileGrid loadTile error', {
+            console.error('RollupTileGrid getRollups error', {
                 error,
-                index,
+                indexes: requestedIndexes,
                 recordId: this.recordId,
-                childObjectApiName: this.childObjectApiName,
-                relationshipFieldApiName: this.relationshipFieldApiName,
-                grandchildObjectApiName: this.grandchildObjectApiName,
-                grandchildRelationshipFieldApiName: this.grandchildRelationshipFieldApiName
+                requests
             });
 
-            let msg = 'Unexpected error while loading rollup.';
-            if (error) {
-                if (error.body && error.body.message) {
-                    msg = error.body.message;
-                } else if (error.message) {
-                    msg = error.message;
-                } else if (typeof error === 'string') {
-                    msg = error;
-                }
+            const msg = reduceErrorMessage(error, 'Unexpected error while loading rollup.');
+            const errorChanges = new Map();
+            requestedIndexes.forEach((index) => {
+                errorChanges.set(index, {
+                    ...EMPTY_TILE_RESULT,
+                    error: msg,
+                    errorCode: 'UNEXPECTED_ERROR'
+                });
+            });
+            this.updateTiles(errorChanges);
+            return;
+        }
+
+        const resultsByKey = new Map();
+        (data || []).forEach((result) => {
+            if (result && result.key) {
+                resultsByKey.set(result.key, result);
             }
+        });
 
-            this.tiles = this.tiles.map((tile) =>
-                tile.index === index
-                    ? this.recomputeTileDerivedFields({
-                          ...tile,
-                          isLoading: false,
-                          error: msg,
-                          value: null,
-                          recordCount: null,
-                          isCurrency: false,
-                          isPercent: false,
-                          isDate: false,
-                          fieldLabel: null
-                      })
-                    : tile
+        const resultChanges = new Map();
+        requestedIndexes.forEach((index) => {
+            const result = resultsByKey.get(String(index));
+            if (!result) {
+                // No data returned for this tile
+                resultChanges.set(index, {
+                    ...EMPTY_TILE_RESULT,
+                    error: 'No data was returned for this rollup.',
+                    errorCode: 'UNEXPECTED_ERROR'
+                });
+                return;
+            }
+
+            if (result.parentId) {
+                this._resolvedParentId = result.parentId;
+            }
+
+            // Business / configuration errors from Apex are shown in the tile.
+            // Apex only sends the diagnostic (errorMessage, errorField) to
+            // users with the Rollup_Diagnostics permission.
+            const failed = !!(result.errorCode || result.errorMessage);
+            resultChanges.set(index, {
+                isLoading: false,
+                error: failed ? result.errorMessage || result.userMessage : null,
+                errorCode: result.errorCode || null,
+                errorField: result.errorField || null,
+                errorSeverity: result.errorSeverity || null,
+                errorUserMessage: result.userMessage || null,
+                value: failed ? undefined : result.value,
+                recordCount: result.recordCount,
+                isCurrency: !!result.isCurrency,
+                isPercent: !!result.isPercent,
+                isDate: !!result.isDate,
+                dateType: result.dateType || null,
+                fieldLabel: result.fieldLabel,
+                currencyIsoCode: result.currencyIsoCode,
+                orderByFieldLabel: result.orderByFieldLabel || null,
+                weightFieldLabel: result.weightFieldLabel || null,
+                priorValue: result.priorValue,
+                priorRecordCount: result.priorRecordCount,
+                periodStart: result.periodStart || null,
+                periodEnd: result.periodEnd || null,
+                priorPeriodStart: result.priorPeriodStart || null,
+                priorPeriodEnd: result.priorPeriodEnd || null,
+                comparisonWarning: result.comparisonWarning || null,
+                skippedFilterFields: result.skippedFilterFields || null,
+                groupByFieldLabel: result.groupByFieldLabel || null,
+                buckets: result.buckets || null,
+                seriesBucketSize: result.trendBucketSize || null,
+                series: result.series || null,
+                computedAt: result.computedAt || null,
+                isCached: !!result.isCached
+            });
+        });
+        this.updateTiles(resultChanges);
+    }
+
+    // ------------- Auto refresh (empApi) -------------
+
+    /**
+     * Subscribe to change events for every object on a tile's relationship
+     * path (the aggregated object, plus the objects above it, since
+     * re-parenting one of them moves the records below), plus any platform
+     * event channels the admin listed. Change Data Capture must be enabled
+     * for those objects in Setup.
+     */
+    async subscribeToChangeEvents() {
+        if (!this.autoRefreshOnChange || this._autoRefreshActive) {
+            return;
+        }
+        this._autoRefreshActive = true;
+
+        try {
+            if (!(await isEmpEnabled())) {
+                return;
+            }
+        } catch (_e) {
+            return;
+        }
+
+        onError((error) => {
+            // eslint-disable-next-line no-console
+            console.error('RollupTileGrid empApi error', error);
+        });
+
+        const channels = [];
+        const changeEventObjects = new Map();
+        this.tiles.filter((tile) => !tile.isFormula).forEach((tile) => {
+            this.tilePath(tile).steps.forEach(({ objectApiName }) => {
+                const channel = changeEventChannel(objectApiName);
+                if (channel && !changeEventObjects.has(channel)) {
+                    changeEventObjects.set(channel, normalizeApiNameValue(objectApiName));
+                }
+            });
+        });
+        changeEventObjects.forEach((objectApiName, channel) => {
+            channels.push({
+                channel,
+                handler: (message) => this.handleChangeEvent(message, objectApiName)
+            });
+        });
+        (this.autoRefreshChannels || '')
+            .split(',')
+            .map((channel) => channel.trim())
+            .filter((channel) => channel)
+            .forEach((channel) => {
+                channels.push({
+                    channel,
+                    handler: (message) => this.handlePlatformEvent(message)
+                });
+            });
+
+        channels.forEach(({ channel, handler }) => {
+            subscribe(channel, -1, handler)
+                .then((subscription) => {
+                    if (this._autoRefreshActive) {
+                        this._subscriptions.push(subscription);
+                    } else {
+                        // Disconnected while the subscription was pending.
+                        unsubscribe(subscription, () => {});
+                    }
+                })
+                .catch((error) => {
+                    // eslint-disable-next-line no-console
+                    console.error('RollupTileGrid subscribe error', { channel, error });
+                });
+        });
+    }
+
+    unsubscribeFromChangeEvents() {
+        this._autoRefreshActive = false;
+        this._subscriptions.forEach((subscription) => {
+            unsubscribe(subscription, () => {});
+        });
+        this._subscriptions = [];
+
+        if (this._autoRefreshTimer) {
+            clearTimeout(this._autoRefreshTimer);
+            this._autoRefreshTimer = null;
+        }
+        this._pendingRefreshIndexes = new Set();
+        this._pendingRecordChecks = new Map();
+    }
+
+    /**
+     * Change Data Capture event for `objectApiName`. Each tile with that
+     * object on its relationship path is checked on its own, by the object's
+     * level on the path (0 for the child object; the last level is the
+     * aggregated object): whether the change can affect the tile and whether
+     * it touches this record. Affected tiles are queued for a debounced
+     * reload.
+     */
+    handleChangeEvent(message, objectApiName) {
+        const payload = message && message.data ? message.data.payload : null;
+        const header = payload ? payload.ChangeEventHeader : null;
+        if (!header) {
+            return;
+        }
+
+        const objectName = objectApiName.toLowerCase();
+        const targets = [];
+        this.tiles.filter((tile) => !tile.isFormula).forEach((tile) => {
+            const path = this.tilePath(tile);
+            path.steps.forEach((step, level) => {
+                if (normalizeApiNameValue(step.objectApiName).toLowerCase() === objectName) {
+                    targets.push({ tile, path, level });
+                }
+            });
+        });
+        if (!targets.length) {
+            return;
+        }
+
+        const changeType = header.changeType || '';
+
+        // Gap / overflow events carry no field data: reload every such tile.
+        if (changeType.startsWith('GAP')) {
+            this.queueAutoRefresh(targets.map((target) => target.tile.index));
+            return;
+        }
+
+        const changedFields = (header.changedFields || []).map((field) =>
+            field.split('.')[0].toLowerCase()
+        );
+
+        targets.forEach(({ tile, path, level }) => {
+            // Only the first level looks up to this record directly.
+            const pointsAtThisRecord = level === 0;
+            const isAggregateLevel = level === path.steps.length - 1;
+            const relationshipField = normalizeApiNameValue(
+                path.steps[level].relationshipFieldApiName
             );
-        } finally {
-            const timeoutId = this._tileTimeouts[index];
-            if (timeoutId) {
-                clearTimeout(timeoutId);
-                delete this._tileTimeouts[index];
+            const relationshipChanged =
+                changeType === 'UPDATE' &&
+                changedFields.includes(relationshipField.toLowerCase());
+
+            if (changeType === 'UPDATE' && !relationshipChanged) {
+                // Edits higher up the path only matter when re-parented.
+                if (!isAggregateLevel || !this.tileUsesAnyField(tile, changedFields)) {
+                    return;
+                }
+            }
+
+            // A re-parented record may have just left this record, and a new
+            // one carries its lookup value; anything else is checked in Apex.
+            if (
+                relationshipChanged ||
+                (pointsAtThisRecord &&
+                    !!this.rollupParentId &&
+                    payload[relationshipField] === this.rollupParentId)
+            ) {
+                this.queueAutoRefresh([tile.index]);
+            } else {
+                this.queueAutoRefresh([tile.index], {
+                    request: this.buildRelationshipRequest(path, level),
+                    recordIds: header.recordIds || []
+                });
             }
+        });
+    }
+
+    /**
+     * Platform event from autoRefreshChannels: reload the grid when any
+     * field of the event holds this record's Id, or the Id of the record
+     * its parent source points to.
+     */
+    handlePlatformEvent(message) {
+        const payload = message && message.data ? message.data.payload : null;
+        if (!payload || !this.recordId) {
+            return;
+        }
+        const recordIds = [this.recordId, this.rollupParentId].filter((id) => id);
+        const mentionsRecord = Object.values(payload).some((value) =>
+            recordIds.some((id) => value === id || value === id.substring(0, 15))
+        );
+        if (mentionsRecord) {
+            this.queueAutoRefresh(this.tiles.map((tile) => tile.index));
+        }
+    }
+
+    tileUsesAnyField(tile, changedFields) {
+        const used = [
+            tile.aggregateFieldApiName,
+            tile.orderByFieldApiName,
+            tile.weightFieldApiName,
+            tile.comparisonDateFieldApiName,
+            tile.trendDateFieldApiName
+        ]
+            .filter((name) => name)
+            .map((name) => normalizeApiNameValue(name).toLowerCase())
+            .concat(filterFieldNames(tile.filterCondition))
+            .concat(criteriaFieldNames(tile.filterCriteria))
+            .concat(criteriaFieldNames(this.runtimeFilters));
+        return changedFields.some((field) => used.includes(field));
+    }
+
+    /**
+     * Queue tiles for the debounced reload. With `recordCheck`
+     * ({ request, recordIds }) they are only reloaded if Apex confirms at
+     * least one of the records belongs to this record via that relationship
+     * path; tiles sharing a path share one check.
+     */
+    queueAutoRefresh(indexes, recordCheck) {
+        if (recordCheck) {
+            const key = JSON.stringify(recordCheck.request);
+            const pending = this._pendingRecordChecks.get(key) || {
+                request: recordCheck.request,
+                recordIds: new Set(),
+                indexes: new Set()
+            };
+            recordCheck.recordIds.forEach((id) => pending.recordIds.add(id));
+            indexes.forEach((index) => pending.indexes.add(index));
+            this._pendingRecordChecks.set(key, pending);
+        } else {
+            indexes.forEach((index) => this._pendingRefreshIndexes.add(index));
+        }
+
+        if (this._autoRefreshTimer) {
+            clearTimeout(this._autoRefreshTimer);
+        }
+        this._autoRefreshTimer = setTimeout(() => {
+            this._autoRefreshTimer = null;
+            this.flushAutoRefresh();
+        }, AUTO_REFRESH_DEBOUNCE_MS);
+    }
+
+    async flushAutoRefresh() {
+        const indexes = this._pendingRefreshIndexes;
+        const checks = [...this._pendingRecordChecks.values()];
+        this._pendingRefreshIndexes = new Set();
+        this._pendingRecordChecks = new Map();
+
+        // The checks are independent; skip the round trip for tiles that
+        // are reloading anyway.
+        await Promise.all(
+            checks
+                .filter((check) => [...check.indexes].some((index) => !indexes.has(index)))
+                .map(async (check) => {
+                    try {
+                        const relatedIds = await getRelatedRecordIds({
+                            parentId: this.recordId,
+                            request: check.request,
+                            recordIds: [...check.recordIds]
+                        });
+                        if (relatedIds && relatedIds.length) {
+                            check.indexes.forEach((index) => indexes.add(index));
+                        }
+                    } catch (error) {
+                        // eslint-disable-next-line no-console
+                        console.error('RollupTileGrid getRelatedRecordIds error', error);
+                    }
+                })
+        );
+
+        // The records changed, so cached results are out of date: the
+        // client's, and this user's result cache entries for these tiles.
+        if (indexes.size && this._autoRefreshActive) {
+            this.loadTiles([...indexes], { bypassCache: true, refreshResultCache: true });
+        }
+    }
+
+    /**
+     * Relationship path for getRelatedRecordIds (a tile's path down to the
+     * changed object's level) and getFilterBarFields (the whole path).
+     */
+    buildRelationshipRequest(path, level) {
+        return {
+            parentSource: this.parentSourceEffective,
+            relationshipPath: path.steps
+                .slice(0, level + 1)
+                .map(
+                    (step) =>
+                        `${normalizeApiNameValue(step.objectApiName)}.${normalizeApiNameValue(step.relationshipFieldApiName)}`
+                )
+                .join(' > ')
+        };
+    }
+
+    // ------------- Drill-down modal -------------
+
+    handleDrillDownClick(event) {
+        event.stopPropagation();
+        const index = Number(event.currentTarget.dataset.index);
+        const tile = this.tiles.find((t) => t.index === index);
+        if (!tile || !tile.canDrillDown) {
+            return;
+        }
+
+        this.drillDown = {
+            tileIndex: index,
+            title: tile.label,
+            subtitle: tile.summaryLabel,
+            isLoading: true,
+            error: null,
+            columns: [],
+            rows: [],
+            hasRows: false,
+            rangeLabel: '',
+            disablePrevious: true,
+            disableNext: true,
+            pageNumber: 1
+        };
+        this.loadDrillDownPage(1);
+    }
+
+    /**
+     * Show or hide the details under a failed tile's message.
+     */
+    handleErrorDetailsToggle(event) {
+        event.stopPropagation();
+        const index = Number(event.currentTarget.dataset.index);
+        const tile = this.tiles.find((t) => t.index === index);
+        if (!tile) {
+            return;
         }
+        this.updateTiles(new Map([[index, { isErrorExpanded: !tile.isErrorExpanded }]]));
+    }
+
+    handleDrillDownKeydown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.handleDrillDownClick(event);
+        }
+    }
+
+    handleDrillDownModalKeydown(event) {
+        if (event.key === 'Escape') {
+            this.handleDrillDownClose();
+        }
+    }
+
+    handleDrillDownClose() {
+        this._drillDownSequence += 1;
+        this.drillDown = null;
+    }
+
+    handleDrillDownPrevious() {
+        if (this.drillDown && !this.drillDown.disablePrevious) {
+            this.loadDrillDownPage(this.drillDown.pageNumber - 1);
+        }
+    }
+
+    handleDrillDownNext() {
+        if (this.drillDown && !this.drillDown.disableNext) {
+            this.loadDrillDownPage(this.drillDown.pageNumber + 1);
+        }
+    }
+
+    /**
+     * Load one page of the records behind the open drill-down tile. The
+     * request is the tile's own rollup request, so Apex applies exactly the
+     * same relationship, filter and period.
+     */
+    async loadDrillDownPage(pageNumber) {
+        const tile = this.drillDown
+            ? this.tiles.find((t) => t.index === this.drillDown.tileIndex)
+            : null;
+        if (!tile) {
+            return;
+        }
+
+        this._drillDownSequence += 1;
+        const requestId = this._drillDownSequence;
+        this.drillDown = {
+            ...this.drillDown,
+            isLoading: true,
+            error: null,
+            disablePrevious: true,
+            disableNext: true
+        };
+
+        let changes;
+        try {
+            const page = await getRollupRecords({
+                parentId: this.recordId,
+                request: this.buildRollupRequest(tile, tile.aggregateType),
+                pageSize: DRILL_DOWN_PAGE_SIZE,
+                pageNumber
+            });
+            changes = this.buildDrillDownPage(tile, page || {});
+        } catch (error) {
+            changes = {
+                error: reduceErrorMessage(error, 'Unexpected error while loading records.'),
+                rows: [],
+                hasRows: false
+            };
+        }
+
+        // Ignore responses for a closed modal or a superseded page request.
+        if (requestId !== this._drillDownSequence || !this.drillDown) {
+            return;
+        }
+        this.drillDown = { ...this.drillDown, isLoading: false, ...changes };
+    }
+
+    buildDrillDownPage(tile, page) {
+        if (page.errorMessage) {
+            return { error: page.errorMessage, rows: [], hasRows: false };
+        }
+
+        const hints = page.rollup || {};
+        const columns = [
+            {
+                label: page.nameFieldLabel || 'Record',
+                fieldName: 'recordUrl',
+                type: 'url',
+                typeAttributes: { label: { fieldName: 'name' }, target: '_self' }
+            }
+        ];
+        if (tile.aggregateFieldApiName) {
+            columns.push({
+                label: hints.fieldLabel || tile.aggregateFieldApiName,
+                fieldName: 'displayValue',
+                type: 'text',
+                cellAttributes: { alignment: page.isNumeric ? 'right' : 'left' }
+            });
+        }
+
+        const rows = (page.records || []).map((record) => ({
+            id: record.recordId,
+            name: record.name || record.recordId,
+            recordUrl: `/lightning/r/${page.objectApiName}/${record.recordId}/view`,
+            displayValue: this.formatDrillDownValue(tile, hints, page.isNumeric, record)
+        }));
+
+        const pageNumber = page.pageNumber || 1;
+        const pageSize = page.pageSize || DRILL_DOWN_PAGE_SIZE;
+        const total = page.totalCount || 0;
+        const first = rows.length ? (pageNumber - 1) * pageSize + 1 : 0;
+        const last = (pageNumber - 1) * pageSize + rows.length;
+        let rangeLabel;
+        try {
+            const fmt = new Intl.NumberFormat(LOCALE);
+            rangeLabel = `${fmt.format(first)}–${fmt.format(last)} of ${fmt.format(total)}`;
+        } catch (_e) {
+            rangeLabel = `${first}–${last} of ${total}`;
+        }
+
+        return {
+            error: null,
+            columns,
+            rows,
+            hasRows: rows.length > 0,
+            pageNumber,
+            rangeLabel,
+            disablePrevious: pageNumber <= 1,
+            disableNext: last >= total
+        };
+    }
+
+    formatDrillDownValue(tile, hints, isNumeric, record) {
+        const raw = record.value;
+        if (raw === null || raw === undefined || raw === '') {
+            return '';
+        }
+        try {
+            if (hints.isDate) {
+                // Relative dates read oddly in a list, so use the full date.
+                const dateFormat =
+                    tile.dateFormat === 'relative' ? DEFAULT_DATE_FORMAT : tile.dateFormat;
+                return formatDateValue(raw, hints.dateType, dateFormat);
+            }
+            const num = parseFloat(raw);
+            if (isNumeric && !isNaN(num)) {
+                return formatTileNumber(num, {
+                    currencyIsoCode: hints.isCurrency
+                        ? record.currencyIsoCode || USER_CURRENCY
+                        : null,
+                    isPercent: !!hints.isPercent,
+                    fractionDigits:
+                        tile.decimalPlaces !== undefined && tile.decimalPlaces !== null
+                            ? parseInt(tile.decimalPlaces, 10)
+                            : 2
+                });
+            }
+        } catch (_e) {
+            // fall through to the raw value
+        }
+        return raw;
     }
 
     // ------------- Dropdown / click handling -------------
@@ -1242,7 +4310,7 @@ export default class RollupTileGrid extends LightningElement {
             return;
         }
 
-        this.refreshAllTiles();
+        this.refreshAllTiles({ bypassCache: true });
     }
 
     /**